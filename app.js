@@ -3,7 +3,12 @@
 const RoonApi = require('node-roon-api');
 const RoonApiStatus = require('node-roon-api-status');
 const RoonApiVolumeControl = require('node-roon-api-volume-control');
+const RoonApiSourceControl = require('node-roon-api-source-control');
 const SettingsManager = require('./settings');
+const ReceiverConfig = require('./receiver-config');
+const ReceiverDiscovery = require('./receiver-discovery');
+const HttpApi = require('./http-api');
+const MqttBridge = require('./mqtt-bridge');
 const VolumeControl = require('./volume-control');
 const fs = require('fs');
 const path = require('path');
@@ -28,6 +33,7 @@ const roon = new RoonApi({
         // Initialize volume control when paired
         if (volumeControl) {
             volumeControl.initialize();
+            updateStatusFromReceivers();
         }
     },
 
@@ -64,8 +70,61 @@ function updateStatusFromSettings(settingsManager) {
     updateStatus(`Configured for ${receivers.length} receivers`);
 }
 
+// Log where each receiver comes from and any problems with it; returns the problems
+function reportReceiverConfig() {
+    const problems = [...receiverConfig.problems];
+    const entries = settingsManager.validateReceivers();
+
+    console.log(`Receiver configuration${receiverConfig.locked ? ' (declared receivers locked)' : ''}:`);
+    entries.forEach((entry) => {
+        const result = entry.errors.length > 0 ? entry.errors.join(', ') : 'OK';
+        console.log(`  ${entry.id} (${entry.source}): ${entry.address} - ${result}`);
+        entry.errors.forEach((error) => problems.push(`receiver ${entry.id}: ${error}`));
+    });
+    if (entries.length === 0) {
+        console.log('  No receivers configured');
+    }
+    receiverConfig.problems.forEach((problem) => console.error(`  ${problem}`));
+
+    return problems;
+}
+
+function formatTime(date) {
+    return date.toTimeString().substring(0, 5);
+}
+
+function updateStatusFromReceivers() {
+    const states = volumeControl.getReceiverStates();
+    if (states.length === 0 && configProblems.length === 0) {
+        updateStatusFromSettings(settingsManager);
+        return;
+    }
+
+    let summary = states.map((receiver) => {
+        if (receiver.state === 'unreachable') {
+            return `${receiver.name}: unreachable since ${formatTime(receiver.since)}`;
+        }
+        if (receiver.state === 'online' && receiver.soundMode) {
+            return `${receiver.name}: online (${receiver.soundMode})`;
+        }
+        return `${receiver.name}: ${receiver.state}`;
+    }).join(', ');
+
+    if (configProblems.length > 0) {
+        summary = `Configuration problems: ${configProblems.join('; ')}${summary ? `. ${summary}` : ''}`;
+    }
+
+    updateStatus(summary, configProblems.length > 0 || states.some((receiver) => receiver.state === 'unreachable'));
+}
+
+// Initialize receiver discovery (SSDP)
+const discovery = new ReceiverDiscovery();
+
+// Receivers declared in config.json or MARANTZ_RECEIVERS
+const receiverConfig = new ReceiverConfig(config);
+
 // Initialize settings manager
-const settingsManager = new SettingsManager(roon);
+const settingsManager = new SettingsManager(roon, discovery, receiverConfig);
 const svc_settings = settingsManager.initialize((newSettings) => {
     console.log('Settings changed:', newSettings);
 
@@ -74,21 +133,50 @@ const svc_settings = settingsManager.initialize((newSettings) => {
         volumeControl.updateSettings(newSettings);
     }
 
-    // Update status
-    updateStatusFromSettings(settingsManager);
+    // Update status; receivers fixed in the settings UI drop out of the problems
+    configProblems = reportReceiverConfig();
+    updateStatusFromReceivers();
+});
+
+// Show newly found receivers in the settings UI and follow moved receivers
+discovery.on('devices', () => {
+    settingsManager.refreshLayout();
+    settingsManager.resolveAddresses();
 });
 
 // Initialize RoonApiVolumeControl service
 const svc_volume_control = new RoonApiVolumeControl(roon);
 
-// Make the service available to VolumeControl
+// Initialize RoonApiSourceControl service (power on/standby)
+const svc_source_control = new RoonApiSourceControl(roon);
+
+// Make the services available to VolumeControl
 roon.services = {
-    RoonApiVolumeControl: svc_volume_control
+    RoonApiVolumeControl: svc_volume_control,
+    RoonApiSourceControl: svc_source_control
 };
 
 // Initialize volume control
 const volumeControl = new VolumeControl(roon, settingsManager);
 
+// Publish per-receiver connection health through the status service
+volumeControl.on('stateChanged', updateStatusFromReceivers);
+volumeControl.on('soundModeChanged', updateStatusFromReceivers);
+
+// Optional local HTTP/JSON API for home automation
+let httpApi = null;
+if (config.http_api && config.http_api.port) {
+    httpApi = new HttpApi(volumeControl);
+    httpApi.start(config.http_api.port, config.http_api.host);
+}
+
+// Optional MQTT bridge
+let mqttBridge = null;
+if (config.mqtt && config.mqtt.url) {
+    mqttBridge = new MqttBridge(volumeControl, config.mqtt);
+    mqttBridge.start();
+}
+
 // Initialize Roon services
 roon.init_services({
     required_services: [],
@@ -96,13 +184,17 @@ roon.init_services({
     provided_services: [
         svc_status,
         svc_settings,
-        svc_volume_control
+        svc_volume_control,
+        svc_source_control
     ]
 });
 
 // Check initial configuration
+let configProblems = reportReceiverConfig();
 const initialReceivers = settingsManager.getReceivers();
-if (initialReceivers.length === 0) {
+if (configProblems.length > 0) {
+    updateStatus(`Configuration problems: ${configProblems.join('; ')}`, true);
+} else if (initialReceivers.length === 0) {
     updateStatus('Not configured - please set IP address in settings', true);
 } else {
     updateStatus('Starting up...');
@@ -111,6 +203,9 @@ if (initialReceivers.length === 0) {
 // Start Roon discovery
 roon.start_discovery();
 
+// Search for receivers now and every 5 minutes
+discovery.start(5);
+
 console.log('Roon Extension for Denon/Marantz HTTP Volume Control');
 console.log('Extension ID:', config.extension_id);
 console.log('Version:', config.display_version);
@@ -133,6 +228,15 @@ process.on('SIGINT', () => {
             volumeControl.destroy();
         }
 
+        if (httpApi) {
+            httpApi.stop();
+        }
+
+        if (mqttBridge) {
+            mqttBridge.stop();
+        }
+
+        discovery.stop();
         roon.stop_discovery();
     } catch (error) {
         console.error('Error during shutdown:', error);
@@ -152,6 +256,15 @@ process.on('SIGTERM', () => {
             volumeControl.destroy();
         }
 
+        if (httpApi) {
+            httpApi.stop();
+        }
+
+        if (mqttBridge) {
+            mqttBridge.stop();
+        }
+
+        discovery.stop();
         roon.stop_discovery();
     } catch (error) {
         console.error('Error during shutdown:', error);
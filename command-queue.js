@@ -0,0 +1,95 @@
+"use strict";
+
+const EventEmitter = require('events');
+
+/**
+ * Serialized command queue for one receiver
+ *
+ * Sends one command at a time. Commands with the same coalescing key
+ * (e.g. 'volume') supersede each other: a newer one drops the older one
+ * that is still waiting and joins the back of the queue, so the receiver
+ * only sees the latest target while commands still arrive in the order
+ * they were requested. Superseded commands resolve with false.
+ *
+ * Emits 'idle' when the last queued command has completed.
+ */
+class CommandQueue extends EventEmitter {
+    constructor(send, label = '') {
+        super();
+        this.send = send;
+        this.label = label;
+        this.pending = [];
+        this.inFlight = null;
+    }
+
+    /**
+     * Get log prefix for this queue
+     */
+    get logPrefix() {
+        return this.label ? `[${this.label}] ` : '';
+    }
+
+    /**
+     * Whether a command is in flight or waiting
+     */
+    get busy() {
+        return this.inFlight !== null || this.pending.length > 0;
+    }
+
+    /**
+     * Queue a command; resolves with the send result, or false if superseded
+     */
+    push(command, key = null) {
+        return new Promise((resolve, reject) => {
+            if (key) {
+                this.pending = this.pending.filter((entry) => {
+                    if (entry.key !== key) {
+                        return true;
+                    }
+                    console.log(`${this.logPrefix}Command ${entry.command} superseded by ${command}`);
+                    entry.resolve(false);
+                    return false;
+                });
+            }
+
+            this.pending.push({ command, key, resolve, reject });
+            this.next();
+        });
+    }
+
+    /**
+     * Send the next command if none is in flight
+     */
+    async next() {
+        if (this.inFlight || this.pending.length === 0) {
+            return;
+        }
+
+        const entry = this.pending.shift();
+        this.inFlight = entry;
+
+        try {
+            entry.resolve(await this.send(entry.command));
+        } catch (error) {
+            entry.reject(error);
+        }
+
+        this.inFlight = null;
+
+        if (this.pending.length > 0) {
+            this.next();
+        } else {
+            this.emit('idle');
+        }
+    }
+
+    /**
+     * Drop every waiting command (the one in flight still completes)
+     */
+    clear() {
+        this.pending.forEach((entry) => entry.resolve(false));
+        this.pending = [];
+    }
+}
+
+module.exports = CommandQueue;
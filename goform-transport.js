@@ -0,0 +1,254 @@
+"use strict";
+
+const fetch = require('node-fetch');
+const { XMLParser } = require('fast-xml-parser');
+
+// Queries sent in one AppCommand.xml request; answers come back in this order
+const BATCH_COMMANDS = [
+    'GetAllZonePowerStatus',
+    'GetAllZoneVolume',
+    'GetAllZoneMuteStatus',
+    'GetAllZoneSource',
+    'GetSurroundModeStatus',
+    'GetToneControl'
+];
+
+// Batch endpoints: AppCommand0300.xml serves models reporting API version
+// 0300 or later (Deviceinfo.xml CommApiVers), tried when AppCommand.xml isn't
+const BATCH_PATH = 'AppCommand.xml';
+const BATCH_PATH_0300 = 'AppCommand0300.xml';
+const BATCH_API_0300 = '0300';
+
+// HTTP statuses of a receiver that refuses goform requests (blocked API)
+const REFUSED_STATUSES = [403, 404, 501];
+
+// Zone elements in AppCommand.xml answers
+const BATCH_ZONES = { main: 'zone1', zone2: 'zone2', zone3: 'zone3' };
+
+/**
+ * Transport over the receiver's goform HTTP API (port 8080 or 80)
+ *
+ * Commands are the line protocol strings sent to formiPhoneAppDirect.xml.
+ * Status comes from one batch query to AppCommand.xml (or AppCommand0300.xml
+ * on newer models), covering every zone plus surround mode and tone
+ * settings; receivers without either fall back to the zone's XmlStatusLite
+ * document.
+ */
+class GoformTransport {
+    constructor(client) {
+        this.client = client;
+        this.name = 'goform';
+        this.volumeStep = 0.5;
+
+        // Keep values as text: "0.0" (0 dB) must not become a falsy 0
+        this.parser = new XMLParser({ parseTagValue: false });
+
+        // Batch endpoint that answered, and the ones the receiver refused
+        this.batchPath = null;
+        this.refusedBatchPaths = new Set();
+    }
+
+    /**
+     * Batch endpoints worth trying for this receiver, in order
+     * AppCommand0300.xml only once the capabilities show API 0300 or later
+     */
+    get batchPaths() {
+        const capabilities = this.client.capabilities;
+        if (capabilities && capabilities.apiVersion >= BATCH_API_0300) {
+            return [BATCH_PATH, BATCH_PATH_0300];
+        }
+        return [BATCH_PATH];
+    }
+
+    /**
+     * Whether batch status reads work: true once one answered, false while
+     * every endpoint worth trying was refused, null until the first read
+     */
+    get batchSupported() {
+        if (this.batchPath) {
+            return true;
+        }
+        return this.batchPaths.every((path) => this.refusedBatchPaths.has(path)) ? false : null;
+    }
+
+    /**
+     * Base URL of the goform endpoints, following the client's address
+     */
+    get baseUrl() {
+        return `http://${this.client.ipAddress}:${this.client.port}/goform`;
+    }
+
+    /**
+     * Fetch a goform document, throwing on HTTP errors
+     */
+    async request(path, options = {}) {
+        const response = await fetch(`${this.baseUrl}/${path}`, { timeout: 5000, ...options });
+
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return await response.text();
+    }
+
+    /**
+     * Send a line protocol command (e.g. "MV50", "MSPURE DIRECT")
+     */
+    async send(command) {
+        await this.request(`formiPhoneAppDirect.xml?${command.replace(/ /g, '%20')}`);
+        return true;
+    }
+
+    /**
+     * Read the zone's status: { volume, mute, power, input, soundMode, tone, zones }
+     * Returns null if the receiver answered without a status
+     */
+    async readStatus() {
+        const paths = this.batchPath
+            ? [this.batchPath]
+            : this.batchPaths.filter((path) => !this.refusedBatchPaths.has(path));
+
+        for (const path of paths) {
+            try {
+                const status = await this.readBatchStatus(path);
+                if (status) {
+                    this.batchPath = path;
+                    return status;
+                }
+            } catch (error) {
+                // Only a refused request means no batch support; timeouts
+                // and server errors are failures of the receiver itself
+                const refused = error.status >= 400 && error.status < 500 || error.status === 501;
+                if (this.batchPath || !refused) {
+                    throw error;
+                }
+            }
+
+            console.log(`${this.client.logPrefix}${path} not supported`);
+            this.refusedBatchPaths.add(path);
+        }
+
+        return await this.readLiteStatus();
+    }
+
+    /**
+     * Query all zones, surround mode and tone settings in one request
+     * Returns null if the answer is not an AppCommand.xml reply
+     */
+    async readBatchStatus(path = BATCH_PATH) {
+        const body = '<?xml version="1.0" encoding="utf-8"?><tx>' +
+            BATCH_COMMANDS.map((command) => `<cmd id="1">${command}</cmd>`).join('') +
+            '</tx>';
+
+        const data = this.parser.parse(await this.request(path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/xml' },
+            body: body
+        }));
+
+        const answers = [].concat(data.rx?.cmd || []);
+        if (answers.length !== BATCH_COMMANDS.length) {
+            return null;
+        }
+
+        const [power, volume, mute, source, surround, tone] = answers;
+
+        const zones = {};
+        Object.keys(BATCH_ZONES).forEach((zone) => {
+            const key = BATCH_ZONES[zone];
+            if (power[key] === undefined && volume[key] === undefined) {
+                return;
+            }
+
+            zones[zone] = {
+                volume: this.client.parseVolume(volume[key]?.volume),
+                mute: mute[key] === 'on',
+                power: power[key] || null,
+                input: source[key]?.source || null
+            };
+        });
+
+        const own = zones[this.client.zone];
+        if (!own) {
+            return null;
+        }
+
+        const isMain = this.client.zone === 'main';
+
+        return {
+            volume: own.volume,
+            mute: own.mute,
+            power: own.power,
+            input: own.input,
+            soundMode: isMain && surround.surround ? String(surround.surround).trim() : null,
+            tone: isMain ? this.parseTone(tone) : null,
+            zones: zones
+        };
+    }
+
+    /**
+     * Tone settings from a GetToneControl answer, in dB
+     * Returns null if the receiver did not report them
+     */
+    parseTone(tone) {
+        const bass = parseFloat(tone?.basslevel);
+        const treble = parseFloat(tone?.treblelevel);
+
+        if (isNaN(bass) || isNaN(treble)) {
+            return null;
+        }
+
+        return {
+            enabled: tone.status === '1',
+            bass: bass,
+            treble: treble
+        };
+    }
+
+    /**
+     * Read the zone's XmlStatusLite document (receivers without AppCommand.xml)
+     */
+    async readLiteStatus() {
+        const data = this.parser.parse(await this.request(this.client.zoneConfig.statusPath));
+
+        if (!data.item) {
+            return null;
+        }
+
+        return {
+            volume: this.client.parseVolume(data.item.MasterVolume?.value),
+            mute: data.item.Mute?.value === 'on',
+            power: data.item.Power?.value,
+            input: data.item.InputFuncSelect?.value,
+            soundMode: null,
+            tone: null,
+            zones: null
+        };
+    }
+
+    /**
+     * Whether a request failed because the receiver refused it, rather
+     * than timing out or failing with a server error
+     */
+    static isRefusal(error) {
+        return Boolean(error) && REFUSED_STATUSES.includes(error.status);
+    }
+
+    /**
+     * Read the parsed Deviceinfo.xml document
+     */
+    async readDeviceInfo() {
+        const data = this.parser.parse(await this.request('Deviceinfo.xml'));
+        return data.Device_Info;
+    }
+
+    /**
+     * Nothing to release; requests are independent
+     */
+    close() {
+    }
+}
+
+module.exports = GoformTransport;
@@ -0,0 +1,343 @@
+"use strict";
+
+const net = require('net');
+const EventEmitter = require('events');
+const TelnetConnection = require('./telnet-connection');
+
+const DEFAULT_PORT = 1255;
+const RESPONSE_TIMEOUT_MS = 5000;
+
+/**
+ * Transport over the HEOS CLI (TCP 1255) of receivers with HEOS built in
+ *
+ * Volume and mute go to the HEOS player at the receiver's IP address.
+ * HEOS reports volume as a whole-number level, used as the receiver's
+ * absolute volume. The CLI has no power or input commands, so those are
+ * sent over the receiver's line protocol (telnet, port 23) instead.
+ *
+ * Connects on first use and reconnects after the connection drops.
+ * Emits 'status' with { volume, mute } for HEOS change events.
+ */
+class HeosTransport extends EventEmitter {
+    constructor(client, port = DEFAULT_PORT) {
+        super();
+        this.client = client;
+        this.port = port;
+        this.linePort = TelnetConnection.DEFAULT_PORT;
+        this.name = 'heos';
+        this.volumeStep = 1;
+        this.socket = null;
+        this.connecting = null;
+        this.buffer = '';
+        this.waiting = [];
+        this.player = null;
+    }
+
+    /**
+     * Get log prefix from the owning client
+     */
+    get logPrefix() {
+        return this.client.logPrefix;
+    }
+
+    /**
+     * Connect, register for change events and find the receiver's player
+     * Concurrent callers share one attempt
+     */
+    connect() {
+        if (this.socket && this.player) {
+            return Promise.resolve();
+        }
+
+        if (!this.connecting) {
+            this.connecting = this.open().finally(() => {
+                this.connecting = null;
+            });
+        }
+
+        return this.connecting;
+    }
+
+    /**
+     * Open the CLI connection and look up the player
+     */
+    async open() {
+        const socket = await new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.client.ipAddress, port: this.port });
+
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(new Error('HEOS CLI connection timed out'));
+            }, RESPONSE_TIMEOUT_MS);
+
+            socket.once('connect', () => {
+                clearTimeout(timer);
+                resolve(socket);
+            });
+
+            socket.once('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+
+        socket.setEncoding('utf8');
+        socket.on('data', (data) => this.handleData(data));
+        socket.on('error', (error) => {
+            console.error(`${this.logPrefix}HEOS CLI error:`, error.message);
+        });
+        socket.on('close', () => this.handleClose(socket));
+
+        this.socket = socket;
+        this.buffer = '';
+
+        try {
+            await this.request('system/register_for_change_events', { enable: 'on' });
+
+            const players = (await this.request('player/get_players')).payload || [];
+            const player = players.find((p) => p.ip === this.client.ipAddress) ||
+                (players.length === 1 ? players[0] : null);
+
+            if (!player) {
+                throw new Error(`No HEOS player at ${this.client.ipAddress}`);
+            }
+
+            this.player = player;
+            console.log(`${this.logPrefix}Connected to HEOS player ${player.name} (${player.model}, pid ${player.pid})`);
+        } catch (error) {
+            this.close();
+            throw error;
+        }
+    }
+
+    /**
+     * Send a CLI command and wait for its response
+     * Rejects if the receiver answers with a failure
+     */
+    request(command, params = {}) {
+        if (!this.socket) {
+            return Promise.reject(new Error('HEOS CLI not connected'));
+        }
+
+        const query = new URLSearchParams(params).toString();
+
+        return new Promise((resolve, reject) => {
+            const entry = { command, resolve, reject };
+
+            entry.timer = setTimeout(() => {
+                this.waiting = this.waiting.filter((e) => e !== entry);
+                reject(new Error(`HEOS command ${command} timed out`));
+            }, RESPONSE_TIMEOUT_MS);
+
+            this.waiting.push(entry);
+            this.socket.write(`heos://${command}${query ? `?${query}` : ''}\r\n`);
+        });
+    }
+
+    /**
+     * Send a player command for the receiver's player
+     */
+    async call(command, params = {}) {
+        await this.connect();
+        return await this.request(command, { pid: this.player.pid, ...params });
+    }
+
+    /**
+     * Split incoming data into JSON messages
+     */
+    handleData(data) {
+        this.buffer += data;
+
+        let end;
+        while ((end = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.substring(0, end).trim();
+            this.buffer = this.buffer.substring(end + 2);
+
+            if (line) {
+                try {
+                    this.handleMessage(JSON.parse(line));
+                } catch (error) {
+                    console.error(`${this.logPrefix}Invalid HEOS message:`, line);
+                }
+            }
+        }
+    }
+
+    /**
+     * Match a response to its request, or handle a change event
+     */
+    handleMessage(message) {
+        const heos = message.heos || {};
+        const command = heos.command || '';
+        const params = new URLSearchParams(heos.message || '');
+
+        if (command.startsWith('event/')) {
+            this.handleEvent(command, params);
+            return;
+        }
+
+        // Interim answer; the real response follows
+        if (String(heos.message || '').startsWith('command under process')) {
+            return;
+        }
+
+        const entry = this.waiting.find((e) => e.command === command);
+        if (!entry) {
+            return;
+        }
+
+        this.waiting = this.waiting.filter((e) => e !== entry);
+        clearTimeout(entry.timer);
+
+        if (heos.result === 'success') {
+            entry.resolve({ params: params, payload: message.payload });
+        } else {
+            entry.reject(new Error(`HEOS command ${command} failed: ${params.get('text') || heos.message}`));
+        }
+    }
+
+    /**
+     * Forward volume and mute changes of the receiver's player
+     */
+    handleEvent(command, params) {
+        if (command !== 'event/player_volume_changed' || !this.player ||
+            params.get('pid') !== String(this.player.pid)) {
+            return;
+        }
+
+        this.emit('status', {
+            volume: this.parseLevel(params.get('level')),
+            mute: params.get('mute') === 'on'
+        });
+    }
+
+    /**
+     * Forget the connection and fail outstanding requests
+     */
+    handleClose(socket) {
+        if (this.socket !== socket) {
+            return;
+        }
+
+        this.socket = null;
+        this.player = null;
+
+        this.waiting.forEach((entry) => {
+            clearTimeout(entry.timer);
+            entry.reject(new Error('HEOS CLI connection closed'));
+        });
+        this.waiting = [];
+    }
+
+    /**
+     * Send a line protocol command (e.g. "MV50")
+     * Volume and mute map to HEOS commands; anything else goes over telnet
+     */
+    async send(command) {
+        let match;
+
+        if ((match = /^MV(\d{2,3})$/.exec(command))) {
+            const level = Math.min(Math.round(this.client.parseVolumeCommand(match[1])), 100);
+            await this.call('player/set_volume', { level: level });
+        } else if (command === 'MVUP') {
+            await this.call('player/volume_up', { step: 1 });
+        } else if (command === 'MVDN') {
+            await this.call('player/volume_down', { step: 1 });
+        } else if (command === 'MUON' || command === 'MUOFF') {
+            await this.call('player/set_mute', { state: command === 'MUON' ? 'on' : 'off' });
+        } else {
+            await this.sendLine(command);
+        }
+
+        return true;
+    }
+
+    /**
+     * Send a command over the line protocol
+     * Uses the client's telnet connection when it has one, as receivers
+     * accept only one telnet client
+     */
+    sendLine(command) {
+        const telnet = this.client.telnet;
+        if (telnet && telnet.connected) {
+            telnet.send(command);
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.client.ipAddress, port: this.linePort });
+
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(new Error(`Telnet connection for ${command} timed out`));
+            }, RESPONSE_TIMEOUT_MS);
+
+            socket.once('connect', () => {
+                socket.end(`${command}\r`, () => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+            });
+
+            socket.once('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Volume from a HEOS level, or null if the level is missing or malformed
+     */
+    parseLevel(level) {
+        const volume = parseInt(level, 10);
+        return Number.isFinite(volume) ? volume : null;
+    }
+
+    /**
+     * Read volume and mute: { volume, mute, power, input, soundMode, tone, zones }
+     * Everything but volume and mute is unavailable over HEOS (null)
+     */
+    async readStatus() {
+        const volume = await this.call('player/get_volume');
+        const mute = await this.call('player/get_mute');
+
+        return {
+            volume: this.parseLevel(volume.params.get('level')),
+            mute: mute.params.get('state') === 'on',
+            power: null,
+            input: null,
+            soundMode: null,
+            tone: null,
+            zones: null
+        };
+    }
+
+    /**
+     * Device info in the shape of Deviceinfo.xml, from the HEOS player
+     */
+    async readDeviceInfo() {
+        await this.connect();
+
+        const model = String(this.player.model || '');
+        return {
+            ModelName: model.replace(/^(denon|marantz)\s+/i, ''),
+            BrandCode: /marantz/i.test(model) ? 1 : 0
+        };
+    }
+
+    /**
+     * Close the CLI connection
+     */
+    close() {
+        if (this.socket) {
+            const socket = this.socket;
+            this.handleClose(socket);
+            socket.destroy();
+        }
+    }
+}
+
+HeosTransport.DEFAULT_PORT = DEFAULT_PORT;
+
+module.exports = HeosTransport;
@@ -0,0 +1,287 @@
+"use strict";
+
+const http = require('http');
+
+// VolumeControl events forwarded to Server-Sent Events subscribers
+const STREAMED_EVENTS = ['volumeChanged', 'muteChanged', 'powerChanged', 'soundModeChanged', 'stateChanged'];
+const EVENT_FIELDS = {
+    volumeChanged: 'volume',
+    muteChanged: 'mute',
+    powerChanged: 'power',
+    soundModeChanged: 'sound_mode',
+    stateChanged: 'state'
+};
+
+const MAX_BODY_SIZE = 16 * 1024;
+const KEEPALIVE_INTERVAL = 30000;
+
+/**
+ * Local HTTP/JSON control API for home automation
+ *
+ * Commands go through VolumeControl, so Roon and the API always agree on
+ * the receiver's state:
+ *   GET  /receivers               - cached state of every receiver zone
+ *   GET  /receivers/:key          - cached state of one receiver zone
+ *   POST /receivers/:key/volume   - { "value": 45 } or { "mode": "relative", "value": -2 }
+ *   POST /receivers/:key/mute     - { "mute": true }
+ *   POST /receivers/:key/power    - { "power": "on" } or { "power": "standby" }
+ *   GET  /events                  - Server-Sent Events stream of state changes
+ *
+ * Receiver zones are addressed by their Roon control key (receiver_1,
+ * receiver_1_zone2), which stays the same when other receivers change.
+ */
+class HttpApi {
+    constructor(volumeControl) {
+        this.volumeControl = volumeControl;
+        this.server = null;
+        this.streams = new Set();
+        this.keepaliveTimer = null;
+        this.listeners = {};
+    }
+
+    /**
+     * Start listening; resolves with the port once listening
+     * Only this machine can connect unless another host is given: the API
+     * has no authentication
+     */
+    start(port, host = '127.0.0.1') {
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch((error) => {
+                console.error('HTTP API error:', error);
+                this.sendJson(res, 500, { error: error.message });
+            });
+        });
+
+        this.server.on('error', (error) => {
+            console.error(`HTTP API could not listen on ${host}:${port}:`, error.message);
+        });
+
+        const listening = new Promise((resolve) => {
+            this.server.listen(port, host, () => {
+                const address = this.server.address();
+                console.log(`HTTP API listening on http://${host}:${address.port}`);
+                resolve(address.port);
+            });
+        });
+
+        // Forward VolumeControl events to SSE subscribers
+        STREAMED_EVENTS.forEach((event) => {
+            this.listeners[event] = (key, value) => {
+                this.broadcast(event, { control_key: key, [EVENT_FIELDS[event]]: value });
+            };
+            this.volumeControl.on(event, this.listeners[event]);
+        });
+
+        this.keepaliveTimer = setInterval(() => {
+            this.streams.forEach((res) => res.write(': keepalive\n\n'));
+        }, KEEPALIVE_INTERVAL);
+
+        return listening;
+    }
+
+    /**
+     * Stop listening and close event streams
+     */
+    stop() {
+        Object.keys(this.listeners).forEach((event) => {
+            this.volumeControl.removeListener(event, this.listeners[event]);
+        });
+        this.listeners = {};
+
+        if (this.keepaliveTimer) {
+            clearInterval(this.keepaliveTimer);
+            this.keepaliveTimer = null;
+        }
+
+        this.streams.forEach((res) => res.end());
+        this.streams.clear();
+
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    /**
+     * Route a request
+     */
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const parts = url.pathname.split('/').filter((part) => part);
+
+        if (req.method === 'GET' && parts.length === 1 && parts[0] === 'events') {
+            this.openStream(req, res);
+            return;
+        }
+
+        if (parts[0] !== 'receivers' || parts.length > 3) {
+            this.sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        if (parts.length === 1) {
+            if (req.method !== 'GET') {
+                this.sendJson(res, 405, { error: 'Method not allowed' });
+                return;
+            }
+            this.sendJson(res, 200, this.volumeControl.getReceiverSnapshots());
+            return;
+        }
+
+        const key = parts[1];
+        if (!this.volumeControl.getReceiverSnapshot(key)) {
+            this.sendJson(res, 404, { error: `Unknown receiver ${parts[1]}` });
+            return;
+        }
+
+        if (parts.length === 2) {
+            if (req.method !== 'GET') {
+                this.sendJson(res, 405, { error: 'Method not allowed' });
+                return;
+            }
+            this.sendJson(res, 200, this.volumeControl.getReceiverSnapshot(key));
+            return;
+        }
+
+        if (req.method !== 'POST') {
+            this.sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        let body;
+        try {
+            body = await this.readJson(req);
+        } catch (error) {
+            this.sendJson(res, 400, { error: error.message });
+            return;
+        }
+
+        switch (parts[2]) {
+            case 'volume':
+                await this.handleVolume(res, key, body);
+                break;
+            case 'mute':
+                await this.handleMute(res, key, body);
+                break;
+            case 'power':
+                await this.handlePower(res, key, body);
+                break;
+            default:
+                this.sendJson(res, 404, { error: 'Not found' });
+        }
+    }
+
+    /**
+     * POST /receivers/:key/volume
+     * Answers once accepted, without waiting for a ramp to finish
+     */
+    async handleVolume(res, key, body) {
+        const mode = body.mode || 'absolute';
+        const value = Number(body.value);
+
+        if (!['absolute', 'relative', 'relative_step'].includes(mode) || body.value === undefined || isNaN(value)) {
+            this.sendJson(res, 400, { error: 'Expected { "value": number, "mode"?: "absolute" | "relative" | "relative_step" }' });
+            return;
+        }
+
+        this.volumeControl.requestVolume(key, mode, value);
+        this.sendJson(res, 202, { status: 'Accepted' });
+    }
+
+    /**
+     * POST /receivers/:key/mute
+     * Answers once accepted, without waiting for a mute fade to finish
+     */
+    async handleMute(res, key, body) {
+        if (typeof body.mute !== 'boolean') {
+            this.sendJson(res, 400, { error: 'Expected { "mute": boolean }' });
+            return;
+        }
+
+        this.volumeControl.requestMute(key, body.mute);
+        this.sendJson(res, 202, { status: 'Accepted' });
+    }
+
+    /**
+     * POST /receivers/:key/power
+     */
+    async handlePower(res, key, body) {
+        if (body.power !== 'on' && body.power !== 'standby') {
+            this.sendJson(res, 400, { error: 'Expected { "power": "on" | "standby" }' });
+            return;
+        }
+
+        const status = await this.volumeControl.requestPower(key, body.power === 'on');
+        this.sendJson(res, status === 'Success' ? 200 : 502, { status: status });
+    }
+
+    /**
+     * GET /events - keep the response open and stream state changes
+     */
+    openStream(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write('\n');
+
+        this.streams.add(res);
+        req.on('close', () => {
+            this.streams.delete(res);
+        });
+    }
+
+    /**
+     * Send an event to every open stream
+     */
+    broadcast(event, data) {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        this.streams.forEach((res) => res.write(message));
+    }
+
+    /**
+     * Read and parse a JSON request body (an empty body is {})
+     */
+    readJson(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+
+            req.on('data', (chunk) => {
+                body += chunk;
+                if (body.length > MAX_BODY_SIZE) {
+                    reject(new Error('Request body too large'));
+                    req.destroy();
+                }
+            });
+
+            req.on('end', () => {
+                if (!body) {
+                    resolve({});
+                    return;
+                }
+                try {
+                    const parsed = JSON.parse(body);
+                    resolve(parsed && typeof parsed === 'object' ? parsed : {});
+                } catch (error) {
+                    reject(new Error('Invalid JSON body'));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Send a JSON response
+     */
+    sendJson(res, status, data) {
+        if (res.headersSent) {
+            return;
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    }
+}
+
+module.exports = HttpApi;
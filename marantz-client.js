@@ -1,21 +1,161 @@
 "use strict";
 
-const fetch = require('node-fetch');
-const { XMLParser } = require('fast-xml-parser');
 const EventEmitter = require('events');
+const TelnetConnection = require('./telnet-connection');
+const CommandQueue = require('./command-queue');
+const GoformTransport = require('./goform-transport');
+const HeosTransport = require('./heos-transport');
+
+// Command prefixes and status documents for each zone
+const ZONES = {
+    main: {
+        name: 'Main Zone',
+        volume: 'MV',
+        mute: 'MU',
+        up: 'MVUP',
+        down: 'MVDN',
+        powerOn: 'PWON',
+        powerOff: 'PWSTANDBY',
+        input: 'SI',
+        statusPath: 'formMainZone_MainZoneXmlStatusLite.xml',
+        queries: ['MV?', 'MU?', 'PW?', 'SI?']
+    },
+    zone2: {
+        name: 'Zone 2',
+        volume: 'Z2',
+        mute: 'Z2MU',
+        up: 'Z2UP',
+        down: 'Z2DOWN',
+        powerOn: 'Z2ON',
+        powerOff: 'Z2OFF',
+        input: 'Z2',
+        statusPath: 'formZone2_Zone2XmlStatusLite.xml',
+        queries: ['Z2?', 'Z2MU?']
+    },
+    zone3: {
+        name: 'Zone 3',
+        volume: 'Z3',
+        mute: 'Z3MU',
+        up: 'Z3UP',
+        down: 'Z3DOWN',
+        powerOn: 'Z3ON',
+        powerOff: 'Z3OFF',
+        input: 'Z3',
+        statusPath: 'formZone3_Zone3XmlStatusLite.xml',
+        queries: ['Z3?', 'Z3MU?']
+    }
+};
+
+// Polling backoff while the receiver is unreachable
+const MAX_POLL_BACKOFF_SECONDS = 60;
+const FAILURES_BEFORE_UNREACHABLE = 2;
+
+// Delay before reading back the state once queued commands have completed
+const COMMAND_SETTLE_MS = 500;
+
+// Adaptive polling: fast for a while after a command or a detected change,
+// then slower the longer nothing changes (doubling every few quiet polls)
+const ACTIVE_POLL_SECONDS = 1;
+const ACTIVE_WINDOW_MS = 10000;
+const QUIET_POLLS_PER_BACKOFF = 6;
+const MAX_QUIET_BACKOFF = 4;
+
+// Volume change of one Zone 2/3 up/down step (the main zone follows the transport)
+const ZONE_VOLUME_STEP = 1;
+
+// Time between volume steps while ramping
+const RAMP_INTERVAL_MS = 100;
+
+// Display value = dB + DB_OFFSET (display 80 is 0 dB)
+const DB_OFFSET = 80;
+
+// Transport selection: 'auto' starts on goform and switches to HEOS if goform fails
+const TRANSPORTS = ['auto', 'goform', 'heos'];
+
+// Sound modes offered for selection (MS command parameters)
+const SOUND_MODES = [
+    { value: 'DIRECT', title: 'Direct' },
+    { value: 'PURE DIRECT', title: 'Pure Direct' },
+    { value: 'STEREO', title: 'Stereo' },
+    { value: 'MCH STEREO', title: 'Multi Channel Stereo' },
+    { value: 'AUTO', title: 'Auto' },
+    { value: 'MOVIE', title: 'Movie' },
+    { value: 'MUSIC', title: 'Music' },
+    { value: 'GAME', title: 'Game' }
+];
+
+// Sound mode names as some receivers report them, by MS parameter
+const SOUND_MODE_ALIASES = {
+    'MULTI CH STEREO': 'MCH STEREO',
+    'MULTI CHANNEL STEREO': 'MCH STEREO',
+    'PURE': 'PURE DIRECT'
+};
+
+// Main zone MS events that are not sound modes
+const SOUND_MODE_SUBCOMMANDS = ['QUICK', 'SMART'];
+
+// Zone 2/3 event parameters that are neither power, volume, mute nor a source
+const ZONE_SUBCOMMANDS = ['CS', 'CV', 'SLP', 'QUICK', 'PS', 'HPF', 'HDA', 'STBY', 'SMART', 'AUTOSTBY'];
 
 class MarantzClient extends EventEmitter {
-    constructor(ipAddress, port = '8080', label = '') {
+    constructor(ipAddress, port = '8080', label = '', zone = 'main', transport = 'auto') {
         super();
         this.ipAddress = ipAddress;
         this.port = port || '8080';
-        this.baseUrl = `http://${ipAddress}:${this.port}/goform`;
         this.label = label;
-        this.parser = new XMLParser();
+        this.zone = ZONES[zone] ? zone : 'main';
         this.currentVolume = null;
         this.currentMute = null;
-        this.pollInterval = null;
+        this.currentPower = null;
+        this.currentInput = null;
+        this.currentSoundMode = null;
+        this.state = null;
+        this.pollTimer = null;
+        this.pollGeneration = 0;
+        this.polling = false;
+        this.pollIntervalSeconds = 2;
+        this.standbyIntervalSeconds = 30;
+        this.activeUntil = 0;
+        this.quietPolls = 0;
+        this.connectionState = 'connecting'; // connecting, online, standby, unreachable
+        this.stateSince = new Date();
+        this.failureCount = 0;
+        this.capabilities = null;
+        this.telnet = null;
+        this.ownsTelnet = false;
+        this.telnetHandlers = null;
         this.shouldSuppressUpdates = null; // Callback to check if updates should be suppressed
+
+        // Values sent but not yet confirmed by a status read, with the last
+        // confirmed value to roll back to: { value, confirmed }
+        this.pendingVolume = null;
+        this.pendingMute = null;
+
+        // Volume expected once queued up/down steps have been applied;
+        // null when no steps are outstanding
+        this.stepTarget = null;
+
+        // Bumped to cancel a running volume ramp
+        this.rampGeneration = 0;
+
+        // How commands and status reads reach the receiver; HEOS serves
+        // the main zone only
+        this.transportMode = TRANSPORTS.includes(transport) ? transport : 'auto';
+        this.heosPort = HeosTransport.DEFAULT_PORT;
+        this.heosTried = false;
+        this.transport = null;
+        this.transportHandlers = null;
+
+        if (this.transportMode === 'heos' && this.zone !== 'main') {
+            console.log(`${this.logPrefix}HEOS only controls the main zone, using goform for ${this.zoneConfig.name}`);
+        }
+        this.setTransport(this.createTransport());
+
+        // Commands go out one at a time; polling pauses while any are queued
+        this.commandsSent = 0;
+        this.needsConfirmation = false;
+        this.queue = new CommandQueue((command) => this.sendRequest(command), label);
+        this.queue.on('idle', () => this.handleQueueIdle());
     }
 
     /**
@@ -26,18 +166,93 @@ class MarantzClient extends EventEmitter {
     }
 
     /**
-     * Send a command to the receiver
+     * Command and status definitions for this client's zone
      */
-    async sendCommand(command) {
-        try {
-            const url = `${this.baseUrl}/formiPhoneAppDirect.xml?${command}`;
-            const response = await fetch(url, { timeout: 5000 });
+    get zoneConfig() {
+        return ZONES[this.zone];
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+    /**
+     * New transport for the selected transport mode
+     */
+    createTransport() {
+        return this.transportMode === 'heos' && this.zone === 'main'
+            ? new HeosTransport(this, this.heosPort)
+            : new GoformTransport(this);
+    }
+
+    /**
+     * Switch to another transport, closing the current one
+     * Change events pushed by the transport are reconciled like status reads
+     */
+    setTransport(transport) {
+        if (this.transport) {
+            if (this.transportHandlers) {
+                this.transport.removeListener('status', this.transportHandlers.status);
             }
+            this.transport.close();
+        }
+
+        this.transport = transport;
+        this.transportHandlers = null;
 
-            return true;
+        if (typeof transport.on === 'function') {
+            this.transportHandlers = {
+                status: (status) => {
+                    this.receiveVolume(status.volume);
+                    this.receiveMute(status.mute);
+                }
+            };
+            transport.on('status', this.transportHandlers.status);
+        }
+    }
+
+    /**
+     * Try the HEOS CLI after goform refused a request (automatic transport only)
+     * Switches to HEOS if the receiver answers there; tried once per address.
+     * Timeouts and server errors are failures of the receiver, not a blocked
+     * goform API, so they never switch
+     */
+    async tryHeos(error) {
+        if (this.transportMode !== 'auto' || this.zone !== 'main' ||
+            this.transport.name !== 'goform' || this.heosTried ||
+            !GoformTransport.isRefusal(error)) {
+            return false;
+        }
+        this.heosTried = true;
+
+        const heos = new HeosTransport(this, this.heosPort);
+        try {
+            await heos.connect();
+        } catch (error) {
+            console.log(`${this.logPrefix}HEOS CLI not available (${error.message}), staying on goform`);
+            heos.close();
+            return false;
+        }
+
+        console.log(`${this.logPrefix}goform unavailable, switching to HEOS CLI`);
+        this.setTransport(heos);
+        return true;
+    }
+
+    /**
+     * Queue a command for the receiver
+     * Commands with the same coalescing key replace each other while waiting;
+     * resolves with true once sent, or false if superseded
+     */
+    sendCommand(command, key = null) {
+        this.markActivity();
+        return this.queue.push(command, key);
+    }
+
+    /**
+     * Send a command to the receiver immediately
+     */
+    async sendRequest(command) {
+        this.commandsSent++;
+
+        try {
+            return await this.transport.send(command);
         } catch (error) {
             console.error(`${this.logPrefix}Error sending command ${command}:`, error.message);
             throw error;
@@ -46,54 +261,172 @@ class MarantzClient extends EventEmitter {
 
     /**
      * Get current status from the receiver
+     * Emits state with the full snapshot after every successful read
      */
     async getStatus() {
+        const commandsSent = this.commandsSent;
+
         try {
-            const url = `${this.baseUrl}/formMainZone_MainZoneXmlStatusLite.xml`;
-            const response = await fetch(url, { timeout: 5000 });
+            const status = await this.transport.readStatus();
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            // A command went out while this request was in flight, so the
+            // reply may predate it
+            if (this.queue.busy || this.commandsSent !== commandsSent) {
+                console.log(`${this.logPrefix}Discarding status read while commands were in flight`);
+                this.markReachable();
+                return null;
             }
 
-            const text = await response.text();
-            const data = this.parser.parse(text);
+            if (status) {
+                const { volume, mute, power, input } = status;
 
-            // Extract volume and mute status
-            if (data.item) {
-                const volumeRaw = data.item.MasterVolume?.value;
-                const volume = this.parseVolume(volumeRaw);
-                const mute = data.item.Mute?.value === 'on';
-
-                console.log(`${this.logPrefix}Receiver status: volume=${volume}, mute=${mute}`);
+                console.log(`${this.logPrefix}Receiver status: volume=${volume}, mute=${mute}, power=${power}, input=${input}`);
 
                 // Emit events if values changed
-                if (volume !== null && volume !== this.currentVolume) {
-                    console.log(`${this.logPrefix}Volume updated: ${this.currentVolume} -> ${volume}`);
-                    this.currentVolume = volume;
-                    this.emit('volumeChanged', volume);
-                }
-
-                if (mute !== this.currentMute) {
-                    this.currentMute = mute;
-                    this.emit('muteChanged', mute);
-                }
+                this.receiveVolume(volume);
+                this.receiveMute(mute);
+                this.updatePower(power);
+                this.updateInput(input);
+                this.updateSoundMode(status.soundMode);
+                this.markReachable();
+                this.updateState(status);
 
-                return {
-                    volume: volume,
-                    mute: mute,
-                    power: data.item.Power?.value
-                };
+                return status;
             }
 
             return null;
         } catch (error) {
             console.error(`${this.logPrefix}Error getting status:`, error.message);
+
+            if (await this.tryHeos(error)) {
+                return await this.getStatus();
+            }
+
+            this.markUnreachable();
             this.emit('error', error);
             return null;
         }
     }
 
+    /**
+     * Record a successful contact with the receiver
+     */
+    markReachable() {
+        this.failureCount = 0;
+        this.setConnectionState(this.isPoweredOn === false ? 'standby' : 'online');
+    }
+
+    /**
+     * Record a failed contact; unreachable after repeated failures
+     * (or immediately if the receiver has never answered)
+     */
+    markUnreachable() {
+        this.failureCount++;
+        if (this.connectionState === 'connecting' || this.failureCount >= FAILURES_BEFORE_UNREACHABLE) {
+            this.setConnectionState('unreachable');
+        }
+    }
+
+    /**
+     * Move to a new connection state and emit stateChanged
+     */
+    setConnectionState(state) {
+        if (state === this.connectionState) {
+            return;
+        }
+
+        const previous = this.connectionState;
+        this.connectionState = state;
+        this.stateSince = new Date();
+
+        console.log(`${this.logPrefix}Connection state: ${previous} -> ${state}`);
+        this.emit('stateChanged', state, previous);
+    }
+
+    /**
+     * Probe the receiver's capabilities from Deviceinfo.xml (or HEOS player info)
+     * Returns null if the receiver does not provide device info (older models)
+     */
+    async getDeviceInfo() {
+        try {
+            const capabilities = this.parseDeviceInfo(await this.transport.readDeviceInfo());
+
+            if (capabilities) {
+                console.log(`${this.logPrefix}Device info: ${capabilities.brand} ${capabilities.modelName}, ` +
+                    `${capabilities.zoneCount} zone(s), max volume ${capabilities.maxVolume}, API ${capabilities.apiVersion}`);
+                this.capabilities = capabilities;
+                this.emit('capabilities', capabilities);
+            }
+
+            return capabilities;
+        } catch (error) {
+            console.error(`${this.logPrefix}Error getting device info:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Check what answers at the client's address, without changing its state
+     * Resolves with { result, capabilities }, result being 'ok' (a Denon or
+     * Marantz receiver), 'not_receiver' (something else answered) or
+     * 'unreachable' (nothing answered)
+     */
+    async probe() {
+        try {
+            let info = null;
+            try {
+                info = await this.transport.readDeviceInfo();
+            } catch (error) {
+                if (error.status === undefined) {
+                    throw error;
+                }
+            }
+
+            const capabilities = this.parseDeviceInfo(info);
+            if (capabilities && capabilities.modelName) {
+                return { result: 'ok', capabilities: capabilities };
+            }
+
+            // Older models have no Deviceinfo.xml but answer status reads
+            const status = await this.transport.readStatus();
+            return { result: status ? 'ok' : 'not_receiver', capabilities: null };
+        } catch (error) {
+            // Receivers blocking goform may still answer on the HEOS CLI
+            if (await this.tryHeos(error)) {
+                return await this.probe();
+            }
+            return { result: error.status === undefined ? 'unreachable' : 'not_receiver', capabilities: null };
+        }
+    }
+
+    /**
+     * Build a capability object from a parsed Deviceinfo.xml document
+     * Volume limit and inputs are taken from this client's zone
+     */
+    parseDeviceInfo(info) {
+        if (!info) {
+            return null;
+        }
+
+        const zoneNumber = Object.keys(ZONES).indexOf(this.zone);
+        const zoneCapabilities = [].concat(info.DeviceZoneCapabilities || []);
+        const zoneInfo = zoneCapabilities.find((z) => parseInt(z.Zone?.No) === zoneNumber) ||
+            zoneCapabilities[zoneNumber] || {};
+
+        const maxVolume = parseFloat(zoneInfo.Volume?.MaxValue ?? zoneInfo.Volume?.Max);
+        const sources = [].concat(zoneInfo.InputSource?.List?.Source || []);
+
+        return {
+            modelName: String(info.ModelName || '').replace(/^\*/, ''),
+            brand: String(info.BrandCode) === '1' ? 'Marantz' : 'Denon',
+            zoneCount: parseInt(info.DeviceZones) || 1,
+            // Tag values are kept as text, so "0301" keeps its leading zero
+            apiVersion: info.CommApiVers ? String(info.CommApiVers) : '',
+            maxVolume: isNaN(maxVolume) ? null : maxVolume,
+            inputs: sources.map((source) => String(source.FuncName || '')).filter((name) => name)
+        };
+    }
+
     /**
      * Parse volume value from receiver format
      * Denon/Marantz returns dB values like "-29.5" for volume 50.5
@@ -122,101 +455,686 @@ class MarantzClient extends EventEmitter {
 
         // Convert dB to display value: Display = dB + 80
         // Example: -29.5 dB + 80 = 50.5 on display
-        const displayValue = dbValue + 80;
+        return this.fromDecibels(dbValue);
+    }
+
+    /**
+     * Convert a display value (0-98) to the receiver's relative dB scale
+     * Example: 50.5 -> -29.5 dB
+     */
+    toDecibels(displayValue) {
+        return displayValue - DB_OFFSET;
+    }
+
+    /**
+     * Convert a relative dB value to the display value (0-98)
+     * Example: -29.5 dB -> 50.5
+     */
+    fromDecibels(dbValue) {
+        return dbValue + DB_OFFSET;
+    }
+
+    /**
+     * Parse volume value from a line protocol event
+     * Events carry the display value directly: "50" = 50, "505" = 50.5
+     * Returns null for non-volume parameters such as "MAX 98"
+     */
+    parseVolumeCommand(param) {
+        if (!/^\d{2,3}$/.test(param)) {
+            return null;
+        }
 
-        return displayValue;
+        const value = parseInt(param, 10);
+        return param.length === 3 ? value / 10 : value;
     }
 
     /**
      * Format volume for receiver
      * Takes a display value 0-98 and formats for the MV command
      * MV commands use the display value directly: MV50 = volume 50 on display
-     * Format: whole numbers as "50", half values as "505" for 50.5
+     * Format: whole numbers as two digits ("50", "05"), half values as
+     * three ("505" for 50.5, "055" for 5.5)
      */
     formatVolume(displayValue) {
         // Round to nearest 0.5
         const rounded = Math.round(displayValue * 2) / 2;
 
-        // Format: whole numbers as "50", half values as "505" for 50.5
         if (rounded === Math.floor(rounded)) {
-            return Math.floor(rounded).toString();
+            return Math.floor(rounded).toString().padStart(2, '0');
         } else {
-            return (rounded * 10).toFixed(0);
+            return (rounded * 10).toFixed(0).padStart(3, '0');
         }
     }
 
     /**
-     * Set volume to absolute value (0-98)
+     * Round a volume to the transport's resolution (0.5, or 1 over HEOS)
+     */
+    roundVolume(value) {
+        const step = this.transport.volumeStep;
+        return Math.round(value / step) * step;
+    }
+
+    /**
+     * Set volume to absolute value (0-98), cancelling any running ramp
      */
     async setVolume(value) {
-        const volumeStr = this.formatVolume(value);
-        return await this.sendCommand(`MV${volumeStr}`);
+        this.rampGeneration++;
+        return await this.applyVolume(value);
+    }
+
+    /**
+     * Step toward a target volume at rateDbPerSecond instead of jumping
+     * A new target (ramped or not) cancels the ramp, which then resolves
+     * with false; without a rate or a known volume the target is set at once
+     */
+    async rampVolume(target, rateDbPerSecond) {
+        if (!rateDbPerSecond || this.currentVolume === null) {
+            return await this.setVolume(target);
+        }
+
+        const generation = ++this.rampGeneration;
+        const end = this.roundVolume(target);
+
+        // At least the transport's volume resolution per step
+        const step = Math.max(this.transport.volumeStep, this.roundVolume(rateDbPerSecond * RAMP_INTERVAL_MS / 1000));
+        const interval = step / rateDbPerSecond * 1000;
+
+        let volume = this.currentVolume;
+        while (volume !== end) {
+            volume = volume < end ? Math.min(volume + step, end) : Math.max(volume - step, end);
+            await this.applyVolume(volume);
+
+            if (volume !== end) {
+                await new Promise((resolve) => setTimeout(resolve, interval));
+            }
+            if (generation !== this.rampGeneration) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Send an absolute volume (0-98)
+     * The new value is applied at once and confirmed by the next status read
+     */
+    async applyVolume(value) {
+        const rounded = this.roundVolume(value);
+        const volumeStr = this.formatVolume(rounded);
+
+        this.pendingVolume = {
+            value: rounded,
+            confirmed: this.pendingVolume ? this.pendingVolume.confirmed : this.currentVolume
+        };
+        this.stepTarget = null;
+        this.updateVolume(rounded);
+
+        try {
+            return await this.sendCommand(`${this.zoneConfig.volume}${volumeStr}`, 'volume');
+        } catch (error) {
+            if (this.pendingVolume && this.pendingVolume.value === rounded) {
+                this.rejectVolume(this.pendingVolume.confirmed, error.message);
+            }
+            throw error;
+        }
     }
 
     /**
      * Adjust volume up
      */
     async volumeUp() {
-        return await this.sendCommand('MVUP');
+        this.rampGeneration++;
+        this.addStep(this.volumeStep);
+        return await this.sendCommand(this.zoneConfig.up);
     }
 
     /**
      * Adjust volume down
      */
     async volumeDown() {
-        return await this.sendCommand('MVDN');
+        this.rampGeneration++;
+        this.addStep(-this.volumeStep);
+        return await this.sendCommand(this.zoneConfig.down);
+    }
+
+    /**
+     * Volume change of one up/down step
+     */
+    get volumeStep() {
+        return this.zone === 'main' ? this.transport.volumeStep : ZONE_VOLUME_STEP;
+    }
+
+    /**
+     * Volume once queued up/down steps have been applied
+     * Readings don't change while steps are queued, so limits are checked
+     * against this instead of the current volume
+     */
+    get expectedVolume() {
+        return this.stepTarget !== null ? this.stepTarget : this.currentVolume;
+    }
+
+    /**
+     * Account for a queued up/down step
+     */
+    addStep(change) {
+        const base = this.expectedVolume;
+        if (base !== null) {
+            this.stepTarget = Math.max(base + change, 0);
+        }
     }
 
     /**
      * Set mute state
+     * The new state is applied at once and confirmed by the next status read
      */
     async setMute(mute) {
-        const command = mute ? 'MUON' : 'MUOFF';
-        return await this.sendCommand(command);
+        const command = `${this.zoneConfig.mute}${mute ? 'ON' : 'OFF'}`;
+
+        this.pendingMute = {
+            value: mute,
+            confirmed: this.pendingMute ? this.pendingMute.confirmed : this.currentMute
+        };
+        this.updateMute(mute);
+
+        try {
+            return await this.sendCommand(command, 'mute');
+        } catch (error) {
+            if (this.pendingMute && this.pendingMute.value === mute) {
+                this.rejectMute(this.pendingMute.confirmed, error.message);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Power on (the whole receiver for the main zone, otherwise the zone)
+     */
+    async powerOn() {
+        return await this.sendCommand(this.zoneConfig.powerOn);
+    }
+
+    /**
+     * Put the receiver (or zone) into standby
+     */
+    async standby() {
+        return await this.sendCommand(this.zoneConfig.powerOff);
+    }
+
+    /**
+     * Select an input by its SI code (e.g. "NET", "CD", "AUX1")
+     */
+    async selectInput(input) {
+        return await this.sendCommand(`${this.zoneConfig.input}${input}`);
+    }
+
+    /**
+     * Whether the given input is the one currently selected
+     * Returns null while the current input is unknown
+     */
+    isInputSelected(input) {
+        if (!this.currentInput) {
+            return null;
+        }
+        return String(this.currentInput).toUpperCase() === String(input).toUpperCase();
+    }
+
+    /**
+     * Select a sound mode by its MS parameter (e.g. "PURE DIRECT", "STEREO")
+     * Sound modes belong to the main zone
+     */
+    async setSoundMode(mode) {
+        if (this.zone !== 'main') {
+            throw new Error(`${this.zoneConfig.name} has no sound mode`);
+        }
+        return await this.sendCommand(`MS${MarantzClient.normalizeSoundMode(mode)}`);
+    }
+
+    /**
+     * Whether the given sound mode is the one currently selected
+     * Returns null while the current sound mode is unknown
+     */
+    isSoundModeSelected(mode) {
+        if (!this.currentSoundMode) {
+            return null;
+        }
+        return this.currentSoundMode === MarantzClient.normalizeSoundMode(mode);
+    }
+
+    /**
+     * Whether the last known power state is on
+     * Returns null while the power state is unknown
+     */
+    get isPoweredOn() {
+        if (!this.currentPower) {
+            return null;
+        }
+        return this.currentPower === 'ON';
+    }
+
+    /**
+     * Whether a volume or mute change is waiting for confirmation
+     */
+    get hasPendingState() {
+        return this.pendingVolume !== null || this.pendingMute !== null;
+    }
+
+    /**
+     * Reconcile a volume reading with a pending change
+     * Readings are ignored while commands are queued, so a newer pending
+     * value is never overwritten; afterwards a differing reading means the
+     * receiver ignored the command (e.g. in standby)
+     */
+    receiveVolume(volume) {
+        if (volume === null) {
+            return;
+        }
+
+        // Once the queue has drained, readings include every step sent
+        if (!this.queue.busy) {
+            this.stepTarget = null;
+        }
+
+        if (this.pendingVolume) {
+            if (this.queue.busy) {
+                return;
+            }
+            if (volume !== this.pendingVolume.value) {
+                this.rejectVolume(volume, 'receiver reported a different volume');
+                return;
+            }
+            this.pendingVolume = null;
+        }
+
+        this.updateVolume(volume);
+    }
+
+    /**
+     * Reconcile a mute reading with a pending change
+     */
+    receiveMute(mute) {
+        if (this.pendingMute) {
+            if (this.queue.busy) {
+                return;
+            }
+            if (mute !== this.pendingMute.value) {
+                this.rejectMute(mute, 'receiver reported a different mute state');
+                return;
+            }
+            this.pendingMute = null;
+        }
+
+        this.updateMute(mute);
+    }
+
+    /**
+     * Roll back an unconfirmed volume change and emit rejected
+     */
+    rejectVolume(actual, reason) {
+        const requested = this.pendingVolume.value;
+        this.pendingVolume = null;
+
+        console.log(`${this.logPrefix}Volume ${requested} not applied (${reason}), rolling back to ${actual}`);
+        this.updateVolume(actual);
+        this.emit('rejected', 'volume', requested, actual, reason);
+    }
+
+    /**
+     * Roll back an unconfirmed mute change and emit rejected
+     */
+    rejectMute(actual, reason) {
+        const requested = this.pendingMute.value;
+        this.pendingMute = null;
+
+        console.log(`${this.logPrefix}Mute ${requested ? 'on' : 'off'} not applied (${reason}), rolling back`);
+        this.updateMute(actual);
+        this.emit('rejected', 'mute', requested, actual, reason);
+    }
+
+    /**
+     * Record a volume reading and emit volumeChanged if it differs
+     */
+    updateVolume(volume) {
+        if (volume !== null && volume !== this.currentVolume) {
+            console.log(`${this.logPrefix}Volume updated: ${this.currentVolume} -> ${volume}`);
+            if (this.currentVolume !== null) {
+                this.markActivity();
+            }
+            this.currentVolume = volume;
+            this.emit('volumeChanged', volume);
+        }
+    }
+
+    /**
+     * Record a mute reading and emit muteChanged if it differs
+     */
+    updateMute(mute) {
+        if (mute !== this.currentMute) {
+            if (this.currentMute !== null) {
+                this.markActivity();
+            }
+            this.currentMute = mute;
+            this.emit('muteChanged', mute);
+        }
+    }
+
+    /**
+     * Record a power reading and emit powerChanged if it differs
+     */
+    updatePower(power) {
+        if (power && power !== this.currentPower) {
+            const previous = this.currentPower;
+            if (previous !== null) {
+                this.markActivity();
+            }
+            this.currentPower = power;
+            this.emit('powerChanged', power, previous);
+
+            if (this.connectionState === 'online' || this.connectionState === 'standby') {
+                this.markReachable();
+            }
+        }
+    }
+
+    /**
+     * Record an input reading and emit inputChanged if it differs
+     */
+    updateInput(input) {
+        if (input && input !== this.currentInput) {
+            if (this.currentInput !== null) {
+                this.markActivity();
+            }
+            this.currentInput = input;
+            this.emit('inputChanged', input);
+        }
+    }
+
+    /**
+     * Record a sound mode reading and emit soundModeChanged if it differs
+     */
+    updateSoundMode(mode) {
+        const soundMode = MarantzClient.normalizeSoundMode(mode);
+        if (soundMode && soundMode !== this.currentSoundMode) {
+            if (this.currentSoundMode !== null) {
+                this.markActivity();
+            }
+            this.currentSoundMode = soundMode;
+            this.emit('soundModeChanged', soundMode);
+        }
+    }
+
+    /**
+     * Record the full state from a status read and emit state
+     * Snapshot: { zone, volume, mute, power, input, soundMode, tone, zones };
+     * fields the transport cannot read are null
+     */
+    updateState(status) {
+        this.state = {
+            zone: this.zone,
+            volume: this.currentVolume,
+            mute: this.currentMute,
+            power: this.currentPower,
+            input: this.currentInput,
+            soundMode: this.currentSoundMode,
+            tone: status.tone ?? null,
+            zones: status.zones ?? null
+        };
+
+        this.emit('state', this.state);
     }
 
     /**
      * Start polling for status updates
      */
-    startPolling(intervalSeconds = 2) {
-        if (this.pollInterval) {
-            this.stopPolling();
+    startPolling(intervalSeconds = this.pollIntervalSeconds) {
+        this.stopPolling();
+
+        this.pollIntervalSeconds = intervalSeconds;
+        this.quietPolls = 0;
+        this.polling = true;
+
+        // Initial status check, then keep polling
+        this.poll(this.pollGeneration);
+    }
+
+    /**
+     * Poll quickly for a while: after a command or a change on the receiver
+     */
+    markActivity() {
+        this.activeUntil = Date.now() + ACTIVE_WINDOW_MS;
+        this.quietPolls = 0;
+    }
+
+    /**
+     * Read status and schedule the next poll
+     * Polls are skipped while commands are queued.
+     * The generation guards against a restart while a request is in flight
+     */
+    async poll(generation) {
+        this.pollTimer = null;
+
+        if (!this.queue.busy) {
+            const activeUntil = this.activeUntil;
+            this.needsConfirmation = false;
+            await this.getStatus();
+
+            if (this.activeUntil === activeUntil) {
+                this.quietPolls++;
+            }
+        }
+
+        if (!this.polling || generation !== this.pollGeneration) {
+            return;
+        }
+
+        this.schedulePoll();
+    }
+
+    /**
+     * Schedule the next poll, soon if queued commands need confirming
+     */
+    schedulePoll() {
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+        }
+
+        const generation = this.pollGeneration;
+        const delay = this.needsConfirmation ? COMMAND_SETTLE_MS : this.getPollDelay() * 1000;
+
+        this.pollTimer = setTimeout(() => {
+            this.poll(generation);
+        }, delay);
+    }
+
+    /**
+     * Read back the state once the queue drains
+     * Over telnet, ask for the state so pending changes are confirmed
+     */
+    handleQueueIdle() {
+        this.needsConfirmation = true;
+
+        if (this.telnet && this.telnet.connected && !this.polling && this.hasPendingState) {
+            this.zoneConfig.queries.forEach((query) => this.telnet.send(query));
         }
 
-        // Initial status check
-        this.getStatus();
+        // A poll in flight picks up the shorter delay when it reschedules
+        if (this.polling && this.pollTimer) {
+            this.schedulePoll();
+        }
+    }
+
+    /**
+     * Seconds until the next poll
+     * Backs off exponentially while failing, polls fast shortly after
+     * activity, slowly in standby and less often the longer nothing changes
+     */
+    getPollDelay() {
+        if (this.failureCount > 0) {
+            return Math.min(this.pollIntervalSeconds * Math.pow(2, this.failureCount), MAX_POLL_BACKOFF_SECONDS);
+        }
 
-        // Set up polling
-        this.pollInterval = setInterval(() => {
-            this.getStatus();
-        }, intervalSeconds * 1000);
+        if (Date.now() < this.activeUntil) {
+            return Math.min(ACTIVE_POLL_SECONDS, this.pollIntervalSeconds);
+        }
+
+        if (this.isPoweredOn === false) {
+            return Math.max(this.standbyIntervalSeconds, this.pollIntervalSeconds);
+        }
+
+        const backoff = Math.pow(2, Math.floor(this.quietPolls / QUIET_POLLS_PER_BACKOFF));
+        return this.pollIntervalSeconds * Math.min(backoff, MAX_QUIET_BACKOFF);
     }
 
     /**
      * Stop polling for status updates
      */
     stopPolling() {
-        if (this.pollInterval) {
-            clearInterval(this.pollInterval);
-            this.pollInterval = null;
+        this.polling = false;
+        this.pollGeneration++;
+
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    /**
+     * Receive pushed status over the telnet line protocol
+     * Falls back to HTTP polling whenever the telnet port is unavailable.
+     * Zones of the same receiver share one connection: pass the connection
+     * owned by another client as sharedTelnet.
+     */
+    startTelnet(fallbackIntervalSeconds = this.pollIntervalSeconds, sharedTelnet = null) {
+        this.stopTelnet();
+        this.pollIntervalSeconds = fallbackIntervalSeconds;
+
+        const telnet = sharedTelnet ||
+            new TelnetConnection(this.ipAddress, TelnetConnection.DEFAULT_PORT, this.label);
+
+        const fallBack = () => {
+            if (!this.polling && this.telnet === telnet) {
+                console.log(`${this.logPrefix}Telnet unavailable, falling back to HTTP polling`);
+                this.startPolling(this.pollIntervalSeconds);
+            }
+        };
+
+        this.telnetHandlers = {
+            connected: () => {
+                this.stopPolling();
+                this.markReachable();
+
+                // Ask for the current state; answers arrive as regular events
+                this.zoneConfig.queries.forEach((query) => telnet.send(query));
+            },
+            line: (line) => this.handleTelnetLine(line),
+            unavailable: fallBack,
+            disconnected: fallBack
+        };
+
+        Object.keys(this.telnetHandlers).forEach((event) => {
+            telnet.on(event, this.telnetHandlers[event]);
+        });
+
+        this.telnet = telnet;
+        this.ownsTelnet = !sharedTelnet;
+
+        if (this.ownsTelnet) {
+            telnet.connect();
+        } else if (telnet.connected) {
+            this.telnetHandlers.connected();
+        }
+    }
+
+    /**
+     * Detach from the telnet connection (closing it if this client owns it)
+     */
+    stopTelnet() {
+        if (!this.telnet) {
+            return;
+        }
+
+        Object.keys(this.telnetHandlers).forEach((event) => {
+            this.telnet.removeListener(event, this.telnetHandlers[event]);
+        });
+
+        if (this.ownsTelnet) {
+            this.telnet.close();
+        }
+
+        this.telnet = null;
+        this.ownsTelnet = false;
+        this.telnetHandlers = null;
+    }
+
+    /**
+     * Handle a single event line pushed by the receiver
+     */
+    handleTelnetLine(line) {
+        if (this.zone === 'main') {
+            this.handleMainZoneLine(line);
+        } else if (line.startsWith(this.zoneConfig.volume)) {
+            this.handleZoneLine(line.substring(2));
+        }
+    }
+
+    /**
+     * Handle a main zone event (MV, MU, PW, SI, MS)
+     */
+    handleMainZoneLine(line) {
+        if (line.startsWith('MV')) {
+            this.receiveVolume(this.parseVolumeCommand(line.substring(2)));
+        } else if (line === 'MUON' || line === 'MUOFF') {
+            this.receiveMute(line === 'MUON');
+        } else if (line.startsWith('PW')) {
+            this.updatePower(line.substring(2));
+        } else if (line.startsWith('SI')) {
+            this.updateInput(line.substring(2));
+        } else if (line.startsWith('MS') && !SOUND_MODE_SUBCOMMANDS.some((sub) => line.startsWith(sub, 2))) {
+            this.updateSoundMode(line.substring(2));
+        }
+    }
+
+    /**
+     * Handle a Zone 2/3 event with the "Z2"/"Z3" prefix removed
+     * e.g. "40" (volume), "MUON", "ON"/"OFF" (power) or a source name
+     */
+    handleZoneLine(param) {
+        if (/^\d+$/.test(param)) {
+            this.receiveVolume(this.parseVolumeCommand(param));
+        } else if (param === 'MUON' || param === 'MUOFF') {
+            this.receiveMute(param === 'MUON');
+        } else if (param === 'ON' || param === 'OFF') {
+            this.updatePower(param);
+        } else if (!ZONE_SUBCOMMANDS.some((sub) => param.startsWith(sub))) {
+            this.updateInput(param);
         }
     }
 
     /**
      * Update IP address and port
+     * Another device may answer there, so nothing learned about the old
+     * one is kept: the transport starts over and the model is probed again
      */
     updateConnection(ipAddress, port = '8080') {
         this.ipAddress = ipAddress;
         this.port = port;
-        this.baseUrl = `http://${ipAddress}:${port}/goform`;
+
+        this.setTransport(this.createTransport());
+        this.heosTried = false;
+        this.capabilities = null;
+        this.getDeviceInfo();
+
+        // Reconnect telnet if this client owns it
+        if (this.telnet && this.ownsTelnet) {
+            this.telnet.host = ipAddress;
+            this.telnet.close();
+            this.telnet.connect();
+            return;
+        }
 
         // Restart polling if it was active
-        if (this.pollInterval) {
-            const wasPolling = true;
-            this.stopPolling();
-            if (wasPolling) {
-                this.startPolling();
-            }
+        if (this.polling) {
+            this.startPolling();
         }
     }
 
@@ -224,9 +1142,37 @@ class MarantzClient extends EventEmitter {
      * Clean up resources
      */
     destroy() {
+        this.rampGeneration++;
+        this.queue.clear();
+        this.stopTelnet();
         this.stopPolling();
+        this.transport.close();
         this.removeAllListeners();
     }
+
+    /**
+     * Sound mode as an upper-case MS parameter ("Multi Ch Stereo" -> "MCH STEREO")
+     * Returns null for an empty value
+     */
+    static normalizeSoundMode(mode) {
+        const value = String(mode ?? '').trim().replace(/\s+/g, ' ').toUpperCase();
+        if (!value) {
+            return null;
+        }
+        return SOUND_MODE_ALIASES[value] || value;
+    }
+
+    /**
+     * Display title of a sound mode, or the mode itself if it isn't listed
+     */
+    static getSoundModeTitle(mode) {
+        const entry = SOUND_MODES.find((soundMode) => soundMode.value === mode);
+        return entry ? entry.title : mode;
+    }
 }
 
+MarantzClient.ZONES = ZONES;
+MarantzClient.TRANSPORTS = TRANSPORTS;
+MarantzClient.SOUND_MODES = SOUND_MODES;
+
 module.exports = MarantzClient;
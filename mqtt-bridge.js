@@ -0,0 +1,275 @@
+"use strict";
+
+const mqtt = require('mqtt');
+
+const DEFAULT_TOPIC_PREFIX = 'roon-marantz';
+const DEFAULT_DISCOVERY_PREFIX = 'homeassistant';
+
+/**
+ * MQTT bridge publishing receiver state and accepting commands
+ *
+ * State is published to retained topics per receiver zone:
+ *   <prefix>/<receiver>/volume  - volume on Roon's scale
+ *   <prefix>/<receiver>/mute    - ON / OFF
+ *   <prefix>/<receiver>/power   - ON / OFF
+ *   <prefix>/<receiver>/state   - connecting / online / standby / unreachable
+ * Commands are routed through VolumeControl:
+ *   <prefix>/<receiver>/volume/set, volume/up, volume/down, mute/set, power/set
+ * <prefix>/status carries the bridge's own availability (online / offline).
+ */
+class MqttBridge {
+    constructor(volumeControl, options = {}, connect = mqtt.connect) {
+        this.volumeControl = volumeControl;
+        this.options = options;
+        this.connect = connect;
+        this.prefix = options.topic_prefix || DEFAULT_TOPIC_PREFIX;
+        this.discoveryPrefix = options.discovery_prefix || DEFAULT_DISCOVERY_PREFIX;
+        this.homeAssistant = options.home_assistant !== false;
+        this.client = null;
+        this.listeners = {};
+
+        // Topic names per control key and back
+        this.topicIds = new Map();
+        this.controlKeys = new Map();
+
+        // Home Assistant discovery topics currently published
+        this.discoveryTopics = new Set();
+    }
+
+    /**
+     * Topic carrying the bridge's availability
+     */
+    get statusTopic() {
+        return `${this.prefix}/status`;
+    }
+
+    /**
+     * Connect to the broker and start bridging
+     */
+    start() {
+        console.log(`Connecting to MQTT broker ${this.options.url}`);
+
+        this.client = this.connect(this.options.url, {
+            username: this.options.username,
+            password: this.options.password,
+            will: { topic: this.statusTopic, payload: 'offline', retain: true }
+        });
+
+        this.client.on('connect', () => {
+            console.log('Connected to MQTT broker');
+            this.client.publish(this.statusTopic, 'online', { retain: true });
+            this.client.subscribe([
+                `${this.prefix}/+/+/set`,
+                `${this.prefix}/+/volume/up`,
+                `${this.prefix}/+/volume/down`
+            ]);
+            this.refreshReceivers();
+        });
+
+        this.client.on('message', (topic, payload) => {
+            this.handleMessage(topic, payload.toString().trim());
+        });
+
+        this.client.on('error', (error) => {
+            console.error('MQTT error:', error.message);
+        });
+
+        this.listeners = {
+            receiversChanged: () => this.refreshReceivers(),
+            volumeChanged: (key, volume) => this.publishState(key, 'volume', String(volume)),
+            muteChanged: (key, mute) => this.publishState(key, 'mute', mute ? 'ON' : 'OFF'),
+            powerChanged: (key, power) => this.publishState(key, 'power', power === 'ON' ? 'ON' : 'OFF'),
+            stateChanged: (key, state) => this.publishState(key, 'state', state)
+        };
+
+        Object.keys(this.listeners).forEach((event) => {
+            this.volumeControl.on(event, this.listeners[event]);
+        });
+    }
+
+    /**
+     * Mark the bridge offline and disconnect
+     */
+    stop() {
+        Object.keys(this.listeners).forEach((event) => {
+            this.volumeControl.removeListener(event, this.listeners[event]);
+        });
+        this.listeners = {};
+
+        if (this.client) {
+            this.client.publish(this.statusTopic, 'offline', { retain: true });
+            this.client.end();
+            this.client = null;
+        }
+    }
+
+    /**
+     * Topic-safe name for a receiver, e.g. "Living Room" -> "living_room"
+     */
+    slugify(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'receiver';
+    }
+
+    /**
+     * Rebuild topic names and republish everything for the current receivers
+     */
+    refreshReceivers() {
+        if (!this.client || !this.client.connected) {
+            return;
+        }
+
+        this.topicIds.clear();
+        this.controlKeys.clear();
+
+        const snapshots = this.volumeControl.getReceiverSnapshots();
+        snapshots.forEach((snapshot) => {
+            let id = this.slugify(snapshot.name);
+            if (this.controlKeys.has(id)) {
+                id = `${id}_${snapshot.control_key}`;
+            }
+            this.topicIds.set(snapshot.control_key, id);
+            this.controlKeys.set(id, snapshot.control_key);
+        });
+
+        if (this.homeAssistant) {
+            this.publishDiscovery(snapshots);
+        }
+
+        snapshots.forEach((snapshot) => {
+            if (snapshot.volume !== null) {
+                this.publishState(snapshot.control_key, 'volume', String(snapshot.volume));
+            }
+            if (snapshot.mute !== null) {
+                this.publishState(snapshot.control_key, 'mute', snapshot.mute ? 'ON' : 'OFF');
+            }
+            if (snapshot.power) {
+                this.publishState(snapshot.control_key, 'power', snapshot.power === 'ON' ? 'ON' : 'OFF');
+            }
+            this.publishState(snapshot.control_key, 'state', snapshot.state);
+        });
+    }
+
+    /**
+     * Publish a retained state value for a receiver
+     */
+    publishState(key, field, value) {
+        const id = this.topicIds.get(key);
+        if (!id || !this.client || !this.client.connected) {
+            return;
+        }
+        this.client.publish(`${this.prefix}/${id}/${field}`, value, { retain: true });
+    }
+
+    /**
+     * Publish Home Assistant MQTT discovery payloads and remove stale ones
+     */
+    publishDiscovery(snapshots) {
+        const published = new Set();
+
+        snapshots.forEach((snapshot) => {
+            const id = this.topicIds.get(snapshot.control_key);
+            const base = `${this.prefix}/${id}`;
+            const uniqueId = `roon_marantz_${snapshot.control_key}`;
+
+            const common = {
+                availability_topic: this.statusTopic,
+                device: {
+                    identifiers: [uniqueId],
+                    name: snapshot.name,
+                    manufacturer: snapshot.manufacturer || 'Denon/Marantz',
+                    model: snapshot.model || undefined
+                }
+            };
+
+            const entities = [
+                ['number', 'volume', {
+                    name: 'Volume',
+                    state_topic: `${base}/volume`,
+                    command_topic: `${base}/volume/set`,
+                    min: snapshot.volume_min,
+                    max: snapshot.volume_max,
+                    step: snapshot.volume_step,
+                    unit_of_measurement: snapshot.volume_type === 'db' ? 'dB' : undefined
+                }],
+                ['switch', 'mute', {
+                    name: 'Mute',
+                    icon: 'mdi:volume-off',
+                    state_topic: `${base}/mute`,
+                    command_topic: `${base}/mute/set`
+                }],
+                ['switch', 'power', {
+                    name: 'Power',
+                    state_topic: `${base}/power`,
+                    command_topic: `${base}/power/set`
+                }],
+                ['sensor', 'state', {
+                    name: 'Connection',
+                    icon: 'mdi:lan-connect',
+                    state_topic: `${base}/state`
+                }]
+            ];
+
+            entities.forEach(([component, field, config]) => {
+                const topic = `${this.discoveryPrefix}/${component}/${uniqueId}/${field}/config`;
+                const payload = { ...config, ...common, unique_id: `${uniqueId}_${field}` };
+                this.client.publish(topic, JSON.stringify(payload), { retain: true });
+                published.add(topic);
+            });
+        });
+
+        // An empty retained payload removes entities of receivers that are gone
+        this.discoveryTopics.forEach((topic) => {
+            if (!published.has(topic)) {
+                this.client.publish(topic, '', { retain: true });
+            }
+        });
+        this.discoveryTopics = published;
+    }
+
+    /**
+     * Route a command message to VolumeControl
+     */
+    handleMessage(topic, payload) {
+        const parts = topic.substring(this.prefix.length + 1).split('/');
+        const key = this.controlKeys.get(parts[0]);
+        if (key === undefined) {
+            return;
+        }
+
+        const command = parts.slice(1).join('/');
+        console.log(`MQTT command for ${key}: ${command} ${payload}`);
+
+        switch (command) {
+            case 'volume/set': {
+                const value = parseFloat(payload);
+                if (isNaN(value)) {
+                    console.error(`Invalid MQTT volume: ${payload}`);
+                    return;
+                }
+                this.volumeControl.requestVolume(key, 'absolute', value);
+                break;
+            }
+
+            case 'volume/up':
+                this.volumeControl.requestVolume(key, 'relative_step', 1);
+                break;
+
+            case 'volume/down':
+                this.volumeControl.requestVolume(key, 'relative_step', -1);
+                break;
+
+            case 'mute/set':
+                this.volumeControl.requestMute(key, /^(on|true|1|mute)$/i.test(payload));
+                break;
+
+            case 'power/set':
+                this.volumeControl.requestPower(key, /^(on|true|1)$/i.test(payload));
+                break;
+
+            default:
+                console.error(`Unknown MQTT command: ${topic}`);
+        }
+    }
+}
+
+module.exports = MqttBridge;
@@ -0,0 +1,188 @@
+"use strict";
+
+const SettingsManager = require('./settings');
+
+// Receiver IDs end up in Roon control keys and setting names
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+
+/**
+ * Receivers declared outside Roon, for headless deployments (e.g. Docker)
+ *
+ * Read from the "receivers" list in config.json and the MARANTZ_RECEIVERS
+ * environment variable ("living=192.168.1.20:8080 office=receiver.local").
+ * Precedence, highest first:
+ *   1. MARANTZ_RECEIVERS, per receiver ID (address and port)
+ *   2. config.json, per receiver ID (any receiver setting)
+ *   3. Values saved from Roon's settings UI
+ * Declared receivers can't be removed in Roon and their declared fields
+ * are read-only there. With locking (lock_receivers or
+ * MARANTZ_LOCK_RECEIVERS) the whole receiver is read-only.
+ */
+class ReceiverConfig {
+    constructor(config = {}, env = process.env) {
+        // Declared receivers: { id, source, fields }
+        this.receivers = [];
+
+        // Problems found while reading the declarations
+        this.problems = [];
+
+        // Whether declared receivers are entirely read-only in Roon
+        this.locked = env.MARANTZ_LOCK_RECEIVERS !== undefined
+            ? TRUE_VALUES.includes(String(env.MARANTZ_LOCK_RECEIVERS).toLowerCase())
+            : config.lock_receivers === true;
+
+        this.addFileReceivers(config.receivers);
+        this.addEnvironmentReceivers(env.MARANTZ_RECEIVERS);
+    }
+
+    /**
+     * Read receivers from config.json
+     */
+    addFileReceivers(receivers) {
+        if (receivers === undefined) {
+            return;
+        }
+
+        if (!Array.isArray(receivers)) {
+            this.problems.push('config.json: "receivers" must be a list');
+            return;
+        }
+
+        receivers.forEach((entry, position) => {
+            if (!entry || typeof entry !== 'object') {
+                this.problems.push(`config.json: receiver ${position + 1} is not an object`);
+                return;
+            }
+
+            const id = String(entry.id || '');
+            if (!ID_PATTERN.test(id)) {
+                this.problems.push(`config.json: receiver ${position + 1} needs an "id" of letters, digits, "-" or "_"`);
+                return;
+            }
+
+            const fields = {};
+            Object.keys(entry).forEach((field) => {
+                if (field === 'id') {
+                    return;
+                }
+                if (SettingsManager.RECEIVER_DEFAULTS[field] === undefined) {
+                    this.problems.push(`config.json: unknown setting "${field}" for receiver ${id}`);
+                    return;
+                }
+
+                const value = entry[field];
+                fields[field] = Array.isArray(value) ? value.join(',') : String(value);
+            });
+
+            this.declare(id, 'config.json', fields);
+        });
+    }
+
+    /**
+     * Read receivers from MARANTZ_RECEIVERS: "id=host[:port]", separated by
+     * commas or whitespace
+     */
+    addEnvironmentReceivers(value) {
+        if (!value) {
+            return;
+        }
+
+        value.split(/[\s,]+/).filter((entry) => entry).forEach((entry) => {
+            const match = /^([^=]+)=([^:]+)(?::(\d+))?$/.exec(entry);
+            if (!match || !ID_PATTERN.test(match[1])) {
+                this.problems.push(`MARANTZ_RECEIVERS: expected "id=host" or "id=host:port", got "${entry}"`);
+                return;
+            }
+
+            const fields = { ip_address: match[2] };
+            if (match[3]) {
+                fields.port = match[3];
+            }
+
+            this.declare(match[1], 'environment', fields);
+        });
+    }
+
+    /**
+     * Add a declaration, or merge it over an earlier one with the same ID
+     */
+    declare(id, source, fields) {
+        const existing = this.find(id);
+        if (!existing) {
+            this.receivers.push({ id: id, source: source, fields: fields });
+            return;
+        }
+
+        if (existing.source === source) {
+            this.problems.push(`${source}: receiver ${id} is declared more than once`);
+        }
+        existing.source = source;
+        existing.fields = { ...existing.fields, ...fields };
+    }
+
+    /**
+     * Declared receiver with this ID, or undefined
+     */
+    find(id) {
+        return this.receivers.find((receiver) => receiver.id === id);
+    }
+
+    /**
+     * Fields of a receiver that can't be edited in Roon (empty for
+     * receivers managed in Roon)
+     */
+    getLockedFields(id) {
+        const receiver = this.find(id);
+        if (!receiver) {
+            return [];
+        }
+        return this.locked ? Object.keys(SettingsManager.RECEIVER_DEFAULTS) : Object.keys(receiver.fields);
+    }
+
+    /**
+     * Merge declared receivers into receiver records saved from Roon
+     * Declared receivers take the place of saved ones with the same ID;
+     * new ones are added after them
+     */
+    merge(records) {
+        const merged = records.map((record) => {
+            const receiver = this.find(record.id);
+            if (!receiver) {
+                return record;
+            }
+            return { ...(this.locked ? {} : record), ...receiver.fields, id: record.id };
+        });
+
+        this.receivers.forEach((receiver) => {
+            if (!merged.some((record) => record.id === receiver.id)) {
+                merged.push({ ...receiver.fields, id: receiver.id });
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Receiver records as they should be saved in Roon: declared fields
+     * are left out (nothing at all for locked receivers), so the
+     * declarations stay the only source for them
+     */
+    strip(records) {
+        return records
+            .filter((record) => !(this.locked && this.find(record.id)))
+            .map((record) => {
+                const receiver = this.find(record.id);
+                if (!receiver) {
+                    return record;
+                }
+
+                const stripped = { ...record };
+                Object.keys(receiver.fields).forEach((field) => delete stripped[field]);
+                return stripped;
+            });
+    }
+}
+
+module.exports = ReceiverConfig;
@@ -0,0 +1,218 @@
+"use strict";
+
+const dgram = require('dgram');
+const fetch = require('node-fetch');
+const { XMLParser } = require('fast-xml-parser');
+const EventEmitter = require('events');
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+
+// Denon/Marantz receivers answer as UPnP media renderers and with their own device type
+const SEARCH_TARGETS = [
+    'urn:schemas-upnp-org:device:MediaRenderer:1',
+    'urn:schemas-denon-com:device:ACT-Denon:1'
+];
+
+const MANUFACTURER_PATTERN = /denon|marantz|d&m/i;
+
+// Receivers answer with several root devices; this one's UDN identifies the receiver
+const PREFERRED_DEVICE_TYPE = SEARCH_TARGETS[0];
+
+/**
+ * Finds Denon/Marantz receivers on the LAN via SSDP (UPnP discovery)
+ *
+ * Emits 'devices' with the full list whenever a search finds a different set
+ * of receivers (or a receiver at a new address).
+ */
+class ReceiverDiscovery extends EventEmitter {
+    constructor() {
+        super();
+        this.parser = new XMLParser();
+        this.devices = [];
+        this.searchPromise = null;
+        this.searchInterval = null;
+    }
+
+    /**
+     * Search now and then every intervalMinutes
+     */
+    start(intervalMinutes = 5) {
+        this.stop();
+
+        this.search();
+        this.searchInterval = setInterval(() => {
+            this.search();
+        }, intervalMinutes * 60 * 1000);
+    }
+
+    /**
+     * Stop periodic searches
+     */
+    stop() {
+        if (this.searchInterval) {
+            clearInterval(this.searchInterval);
+            this.searchInterval = null;
+        }
+    }
+
+    /**
+     * Get the receivers found by the last search
+     */
+    getDevices() {
+        return this.devices;
+    }
+
+    /**
+     * Find a discovered receiver by its UPnP UDN
+     */
+    findByUdn(udn) {
+        return this.devices.find((device) => device.udn === udn) || null;
+    }
+
+    /**
+     * Run a search (joins the search already in progress, if any)
+     */
+    search(timeoutMs = 3000) {
+        if (!this.searchPromise) {
+            this.searchPromise = this.runSearch(timeoutMs)
+                .catch((error) => {
+                    console.error('Receiver discovery failed:', error.message);
+                    return this.devices;
+                })
+                .finally(() => {
+                    this.searchPromise = null;
+                });
+        }
+        return this.searchPromise;
+    }
+
+    /**
+     * Send M-SEARCH requests, then describe every responding location
+     */
+    async runSearch(timeoutMs) {
+        const locations = await this.collectLocations(timeoutMs);
+
+        const described = await Promise.all(
+            Array.from(locations).map((location) => this.describe(location))
+        );
+
+        // One entry per receiver: drop non-Denon/Marantz devices and duplicates.
+        // Replies arrive in any order, so sort first to keep the same UDN for
+        // a receiver that answers with several devices: the media renderer,
+        // else the lowest UDN
+        const candidates = described
+            .filter((device) => device)
+            .sort((a, b) => this.devicePriority(a) - this.devicePriority(b) || a.udn.localeCompare(b.udn));
+
+        const devices = [];
+        candidates.forEach((device) => {
+            if (devices.some((d) => d.udn === device.udn || d.ip_address === device.ip_address)) {
+                return;
+            }
+            devices.push(device);
+        });
+        devices.sort((a, b) => a.udn.localeCompare(b.udn));
+
+        const changed = JSON.stringify(devices) !== JSON.stringify(this.devices);
+        this.devices = devices;
+
+        if (changed) {
+            console.log(`Discovered ${devices.length} Denon/Marantz receiver(s)`);
+            this.emit('devices', devices);
+        }
+
+        return devices;
+    }
+
+    /**
+     * Sort key of a described device: the media renderer comes first
+     */
+    devicePriority(device) {
+        return device.device_type === PREFERRED_DEVICE_TYPE ? 0 : 1;
+    }
+
+    /**
+     * Collect LOCATION headers from SSDP responses
+     */
+    collectLocations(timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const locations = new Set();
+            const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+            let finished = false;
+
+            const finish = (error) => {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                socket.close();
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(locations);
+                }
+            };
+
+            socket.on('message', (message) => {
+                const match = /^location:\s*(\S+)/im.exec(message.toString());
+                if (match) {
+                    locations.add(match[1]);
+                }
+            });
+
+            socket.on('error', finish);
+
+            socket.bind(() => {
+                SEARCH_TARGETS.forEach((target) => {
+                    const request = [
+                        'M-SEARCH * HTTP/1.1',
+                        `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+                        'MAN: "ssdp:discover"',
+                        'MX: 2',
+                        `ST: ${target}`,
+                        '',
+                        ''
+                    ].join('\r\n');
+
+                    socket.send(request, SSDP_PORT, SSDP_ADDRESS);
+                });
+
+                setTimeout(() => finish(), timeoutMs);
+            });
+        });
+    }
+
+    /**
+     * Fetch a device description and identify Denon/Marantz receivers
+     * Returns null for other devices or unreachable descriptions
+     */
+    async describe(location) {
+        try {
+            const response = await fetch(location, { timeout: 5000 });
+            if (!response.ok) {
+                return null;
+            }
+
+            const data = this.parser.parse(await response.text());
+            const device = data.root?.device;
+            if (!device || !device.UDN || !MANUFACTURER_PATTERN.test(String(device.manufacturer || ''))) {
+                return null;
+            }
+
+            return {
+                udn: String(device.UDN).replace(/^uuid:/, ''),
+                ip_address: new URL(location).hostname,
+                device_type: String(device.deviceType || ''),
+                manufacturer: String(device.manufacturer || ''),
+                model_name: String(device.modelName || ''),
+                friendly_name: String(device.friendlyName || ''),
+                serial_number: String(device.serialNumber || '')
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = ReceiverDiscovery;
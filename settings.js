@@ -1,16 +1,78 @@
 "use strict";
 
-const MAX_RECEIVERS = 4;
+const MarantzClient = require('./marantz-client');
+const VolumeCurve = require('./volume-curve');
+
+const MAX_VOLUME = 98;
+const DEFAULT_DEVICE_NAME = 'Denon/Marantz Receiver';
+
+// Status polling intervals (seconds)
+const DEFAULT_POLL_INTERVAL = 5;
+const DEFAULT_STANDBY_INTERVAL = 30;
+const MIN_POLL_INTERVAL = 1;
+
+// Probe results are reused for repeated dry runs of the settings UI (ms)
+const PROBE_CACHE_MS = 30000;
+
+// Fields of a stored receiver, with their defaults, as entered in the settings UI
+const RECEIVER_DEFAULTS = {
+    receiver_udn: '',
+    ip_address: '',
+    port: '8080',
+    transport: 'auto',
+    device_name: '',
+    volume_display: 'number',
+    volume_curve: 'linear',
+    volume_curve_points: '',
+    max_volume: String(MAX_VOLUME),
+    safe_volume: '',
+    ramp_rate: '',
+    mute_fade: '',
+    group_with: '',
+    group_offset: '',
+    roon_input: '',
+    sound_mode: '',
+    zones: 'main',
+    update_method: 'poll',
+    poll_interval: String(DEFAULT_POLL_INTERVAL),
+    standby_interval: String(DEFAULT_STANDBY_INTERVAL)
+};
+
+// Receiver fields edited as free text and as dropdowns
+const TEXT_FIELDS = [
+    'ip_address', 'port', 'device_name', 'volume_curve_points', 'max_volume', 'safe_volume',
+    'group_offset', 'ramp_rate', 'mute_fade', 'poll_interval', 'standby_interval'
+];
+const CHOICE_FIELDS = ['transport', 'volume_display', 'volume_curve', 'zones', 'update_method'];
+
+// Zone choices and the number of zones each one needs
+const ZONE_CHOICES = [
+    { title: 'Main Zone', value: 'main', zones: 1 },
+    { title: 'Main Zone + Zone 2', value: 'main,zone2', zones: 2 },
+    { title: 'Main Zone + Zone 2 + Zone 3', value: 'main,zone2,zone3', zones: 3 },
+    { title: 'Zone 2 only', value: 'zone2', zones: 2 },
+    { title: 'Zone 2 + Zone 3', value: 'zone2,zone3', zones: 3 }
+];
 
 class SettingsManager {
-    constructor(roon) {
+    constructor(roon, discovery = null, receiverConfig = null) {
         this.roon = roon;
+        this.discovery = discovery;
+
+        // Receivers declared in config.json or the environment (ReceiverConfig)
+        this.receiverConfig = receiverConfig;
         this.settings = null;
         this.onChange = null;
 
+        // Probed receiver capabilities (Map: receiver ID -> capabilities)
+        this.capabilities = new Map();
+
+        // Recent connection checks (Map: "transport:host:port" -> { time, errors })
+        this.probeResults = new Map();
+
         // Default settings
         this.defaults = {
-            receiver_count: '1'
+            next_receiver_id: 1
         };
     }
 
@@ -25,90 +87,188 @@ class SettingsManager {
         this.settings = new RoonApiSettings(this.roon, {
             get_settings: (cb) => {
                 cb(this.makeLayout(this.get()));
+
+                // Look for receivers while the settings are open; new results are pushed via refreshLayout
+                if (this.discovery) {
+                    this.discovery.search();
+                }
             },
-            save_settings: (req, isDryRun, settings) => {
-                const oldSettings = this.get();
-                let newSettings = { ...oldSettings };
-                let hasError = false;
-
-                // Helper function to extract value (handles both string and object format)
-                const getValue = (val) => {
-                    if (typeof val === 'string') {
-                        return val;
-                    } else if (val && typeof val === 'object' && val.value !== undefined) {
-                        return val.value;
-                    }
-                    return val;
-                };
+            save_settings: (req, isDryRun, settings) => this.saveSettings(req, isDryRun, settings)
+        });
 
-                // Parse and validate settings
-                if (settings.values) {
-                    // Receiver count
-                    if (settings.values.receiver_count !== undefined) {
-                        const count = getValue(settings.values.receiver_count);
-                        if (count) {
-                            newSettings.receiver_count = count;
-                        }
-                    }
+        return this.settings;
+    }
 
-                    // Dynamic receiver settings
-                    const count = parseInt(newSettings.receiver_count) || 1;
-                    for (let i = 1; i <= count; i++) {
-                        // IP Address
-                        const ipKey = `ip_address_${i}`;
-                        if (settings.values[ipKey] !== undefined) {
-                            const ip = getValue(settings.values[ipKey]);
-                            if (typeof ip === 'string') {
-                                newSettings[ipKey] = ip.trim();
-                            }
-                        }
-
-                        // Port
-                        const portKey = `port_${i}`;
-                        if (settings.values[portKey] !== undefined) {
-                            const port = getValue(settings.values[portKey]);
-                            if (typeof port === 'string') {
-                                newSettings[portKey] = port.trim();
-                            }
-                        }
-
-                        // Device Name
-                        const nameKey = `device_name_${i}`;
-                        if (settings.values[nameKey] !== undefined) {
-                            const name = getValue(settings.values[nameKey]);
-                            if (typeof name === 'string') {
-                                newSettings[nameKey] = name.trim();
-                            }
-                        }
-                    }
+    /**
+     * Check edited values and answer Roon; unless it is a dry run, save
+     * them and notify of changes when there are no errors
+     */
+    async saveSettings(req, isDryRun, settings) {
+        const oldSettings = this.get();
+        const newSettings = this.applyValues(oldSettings, settings.values || {});
+
+        // Field errors, plus a connection check of changed receivers while editing
+        const errors = this.validateSettings(newSettings);
+        if (isDryRun) {
+            Object.assign(errors, await this.checkConnections(oldSettings, newSettings, errors));
+        }
+        const hasError = Object.keys(errors).length > 0;
+
+        // Create the layout with new settings
+        const layout = this.makeLayout(newSettings, errors);
+
+        // Send response with layout
+        req.send_complete(hasError ? 'NotValid' : 'Success', {
+            settings: layout
+        });
+
+        // Save settings if not dry run and no errors
+        if (!hasError && !isDryRun) {
+            this.save(newSettings);
+
+            // Push updated layout to Roon UI (for dynamic field changes)
+            this.settings.update_settings(layout);
+
+            // Notify of changes if settings actually changed
+            if (JSON.stringify(oldSettings) !== JSON.stringify(newSettings)) {
+                if (this.onChange) {
+                    this.onChange(newSettings);
+                }
+            }
+        }
+    }
+
+    /**
+     * Apply values edited in the Roon settings UI to the stored settings
+     * Receivers are edited as fields suffixed with their ID (ip_address_3);
+     * the receiver action adds a receiver or removes one
+     */
+    applyValues(oldSettings, values) {
+        // Helper function to extract value (handles both string and object format)
+        const getValue = (val) => {
+            if (typeof val === 'string') {
+                return val;
+            } else if (val && typeof val === 'object' && val.value !== undefined) {
+                return val.value;
+            }
+            return val;
+        };
+
+        const oldReceivers = new Map(oldSettings.receivers.map((receiver) => [receiver.id, receiver]));
+        const ids = typeof values.receiver_ids === 'string'
+            ? values.receiver_ids.split(',').filter((id) => id)
+            : [...oldReceivers.keys()];
+
+        const receivers = ids.map((id) => {
+            const receiver = { ...(oldReceivers.get(id) || this.makeReceiver(id)) };
+            const lockedFields = this.getLockedFields(id);
+            const value = (field) => lockedFields.includes(field) ? undefined : getValue(values[`${field}_${id}`]);
+
+            // Free text fields
+            TEXT_FIELDS.forEach((field) => {
+                const text = value(field);
+                if (typeof text === 'string') {
+                    receiver[field] = text.trim();
                 }
+            });
 
-                // Create the layout with new settings
-                const layout = this.makeLayout(newSettings);
+            // Dropdowns (an empty choice keeps the current value)
+            CHOICE_FIELDS.forEach((field) => {
+                const choice = value(field);
+                if (choice) {
+                    receiver[field] = choice;
+                }
+            });
 
-                // Send response with layout
-                req.send_complete(hasError ? 'NotValid' : 'Success', {
-                    settings: layout
-                });
+            // Group leader ('' for none)
+            const group = value('group_with');
+            if (typeof group === 'string') {
+                receiver.group_with = group;
+            }
 
-                // Save settings if not dry run and no errors
-                if (!hasError && !isDryRun) {
-                    this.save(newSettings);
+            // Roon input
+            const input = value('roon_input');
+            if (typeof input === 'string') {
+                receiver.roon_input = input.trim().toUpperCase();
+            }
 
-                    // Push updated layout to Roon UI (for dynamic field changes)
-                    this.settings.update_settings(layout);
+            // Sound mode for Roon ('' to leave it alone)
+            const soundMode = value('sound_mode');
+            if (typeof soundMode === 'string') {
+                receiver.sound_mode = soundMode;
+            }
 
-                    // Notify of changes if settings actually changed
-                    if (JSON.stringify(oldSettings) !== JSON.stringify(newSettings)) {
-                        if (this.onChange) {
-                            this.onChange(newSettings);
-                        }
+            // Discovered receiver (fills in the IP address when picked)
+            const udnValue = value('receiver_udn');
+            if (udnValue !== undefined) {
+                const udn = udnValue || '';
+                const old = oldReceivers.get(id);
+                if (udn && udn !== (old ? old.receiver_udn : '') && this.discovery) {
+                    const device = this.discovery.findByUdn(udn);
+                    if (device && !lockedFields.includes('ip_address')) {
+                        receiver.ip_address = device.ip_address;
                     }
                 }
+                receiver.receiver_udn = udn;
             }
+
+            return receiver;
         });
 
-        return this.settings;
+        const newSettings = {
+            ...oldSettings,
+            receivers: receivers,
+            next_receiver_id: this.getNextReceiverId(oldSettings.next_receiver_id, receivers)
+        };
+
+        // Add or remove a receiver
+        const action = getValue(values.receiver_action) || '';
+        if (action === 'add') {
+            newSettings.receivers.push(this.makeReceiver(String(newSettings.next_receiver_id)));
+            newSettings.next_receiver_id++;
+        } else if (action.startsWith('remove:') && !this.isDeclared(action.substring('remove:'.length))) {
+            const id = action.substring('remove:'.length);
+            newSettings.receivers = newSettings.receivers.filter((receiver) => receiver.id !== id);
+
+            // Receivers grouped with the removed one get their own volume control
+            newSettings.receivers.forEach((receiver) => {
+                if (receiver.group_with === id) {
+                    receiver.group_with = '';
+                }
+            });
+        }
+
+        return newSettings;
+    }
+
+    /**
+     * A new receiver record with default values
+     */
+    makeReceiver(id) {
+        return { id: id, ...RECEIVER_DEFAULTS };
+    }
+
+    /**
+     * Next unused receiver ID; IDs are never reused, so a new receiver
+     * does not inherit a removed one's Roon zone assignments
+     */
+    getNextReceiverId(nextId, receivers) {
+        const highest = Math.max(0, ...receivers.map((receiver) => parseInt(receiver.id) || 0));
+        return Math.max(parseInt(nextId) || 1, highest + 1);
+    }
+
+    /**
+     * Whether a receiver is declared in config.json or the environment
+     */
+    isDeclared(id) {
+        return Boolean(this.receiverConfig && this.receiverConfig.find(id));
+    }
+
+    /**
+     * Fields of a receiver that are read-only in the settings UI
+     */
+    getLockedFields(id) {
+        return this.receiverConfig ? this.receiverConfig.getLockedFields(id) : [];
     }
 
     /**
@@ -134,51 +294,220 @@ class SettingsManager {
         });
     }
 
+    /**
+     * Validate a TCP port number (1-65535)
+     */
+    validatePort(port) {
+        const value = String(port || '');
+        return /^\d+$/.test(value) && parseInt(value) >= 1 && parseInt(value) <= 65535;
+    }
+
+    /**
+     * Check each receiver's address and port and look for receivers
+     * configured twice. Returns error messages by setting name
+     * (ip_address_3); settings declared outside Roon are left to the
+     * startup report, as they can't be fixed in the settings UI
+     */
+    validateSettings(settings) {
+        const errors = {};
+        const seen = new Map();
+
+        settings.receivers.forEach((receiver, position) => {
+            const id = receiver.id;
+            const lockedFields = this.getLockedFields(id);
+            const host = receiver.ip_address.toLowerCase();
+
+            if (!lockedFields.includes('ip_address')) {
+                if (!host) {
+                    errors[`ip_address_${id}`] = 'Enter the receiver\'s IP address or hostname.';
+                } else if (!this.validateIpAddress(host)) {
+                    errors[`ip_address_${id}`] = 'Not a valid IP address (e.g. 192.168.1.100) or hostname.';
+                } else if (seen.has(host)) {
+                    errors[`ip_address_${id}`] = `Same receiver as Receiver ${seen.get(host)}; use its Zones setting for more zones.`;
+                }
+            }
+
+            if (!lockedFields.includes('port') && !this.validatePort(receiver.port)) {
+                errors[`port_${id}`] = 'Port must be a number from 1 to 65535, usually 8080 or 80.';
+            }
+
+            if (host && !seen.has(host)) {
+                seen.set(host, position + 1);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Probe receivers whose address, port or connection changed and passed
+     * validation. Returns error messages by setting name
+     */
+    async checkConnections(oldSettings, newSettings, errors) {
+        const connection = (receiver) => `${receiver.transport}:${receiver.ip_address}:${receiver.port}`;
+        const oldConnections = new Map(oldSettings.receivers.map((receiver) => [receiver.id, connection(receiver)]));
+
+        const changed = newSettings.receivers.filter((receiver) => receiver.ip_address &&
+            oldConnections.get(receiver.id) !== connection(receiver) &&
+            !errors[`ip_address_${receiver.id}`] && !errors[`port_${receiver.id}`]);
+
+        const results = await Promise.all(changed.map((receiver) => this.checkConnection(receiver)));
+        return Object.assign({}, ...results);
+    }
+
+    /**
+     * Probe one receiver, trying the other usual port if nothing answers
+     */
+    async checkConnection(receiver) {
+        const { id, ip_address: host, port, transport } = receiver;
+        const key = `${transport}:${host}:${port}`;
+
+        const cached = this.probeResults.get(key);
+        if (cached && Date.now() - cached.time < PROBE_CACHE_MS) {
+            return cached.errors;
+        }
+
+        const errors = {};
+        const probe = await this.probeReceiver(host, port, transport);
+
+        if (probe.result === 'not_receiver') {
+            errors[`ip_address_${id}`] = `${host} answered on port ${port}, but it is not a Denon/Marantz receiver.`;
+        } else if (probe.result === 'unreachable' && transport === 'heos') {
+            errors[`ip_address_${id}`] = `No response from the HEOS CLI at ${host} (port 1255).`;
+        } else if (probe.result === 'unreachable') {
+            const otherPort = port === '80' ? '8080' : '80';
+            const other = await this.probeReceiver(host, otherPort, transport);
+
+            if (other.result === 'ok') {
+                errors[`port_${id}`] = `No response on port ${port}, but port ${otherPort} answered. Switch to ${otherPort}?`;
+            } else {
+                errors[`ip_address_${id}`] = `No response from ${host} on port ${port} or ${otherPort}. Check the address and that the receiver is on the network.`;
+            }
+        }
+
+        this.probeResults.set(key, { time: Date.now(), errors: errors });
+        return errors;
+    }
+
+    /**
+     * See what answers at an address (MarantzClient.probe)
+     */
+    async probeReceiver(host, port, transport) {
+        const client = new MarantzClient(host, port, `Probe ${host}:${port}`, 'main', transport);
+        try {
+            return await client.probe();
+        } finally {
+            client.destroy();
+        }
+    }
+
+    /**
+     * Check the address and port of every receiver that has an address
+     * Returns { id, source, address, errors } per receiver
+     */
+    validateReceivers() {
+        return this.get().receivers
+            .filter((receiver) => receiver.ip_address)
+            .map((receiver) => {
+                const declared = this.receiverConfig ? this.receiverConfig.find(receiver.id) : null;
+                const errors = [];
+
+                if (!this.validateIpAddress(receiver.ip_address)) {
+                    errors.push(`invalid IP address or hostname "${receiver.ip_address}"`);
+                }
+                if (!this.validatePort(receiver.port)) {
+                    errors.push(`invalid port "${receiver.port}"`);
+                }
+
+                return {
+                    id: receiver.id,
+                    source: declared ? declared.source : 'Roon settings',
+                    address: `${receiver.ip_address}:${receiver.port}`,
+                    errors: errors
+                };
+            });
+    }
+
     /**
      * Create the settings layout for Roon UI
+     * Receiver fields are suffixed with the receiver's ID; errors are
+     * messages by setting name, shown on their fields
      */
-    makeLayout(settings) {
-        const values = { ...settings };
+    makeLayout(settings, errors = {}) {
+        const receivers = settings.receivers;
+        const values = {
+            receiver_action: '',
+            receiver_ids: receivers.map((receiver) => receiver.id).join(',')
+        };
         const l = {
             values: values,
             layout: [],
-            has_error: false
+            has_error: Object.keys(errors).length > 0
         };
 
-        // Receiver count dropdown
-        const countValues = [];
-        for (let i = 1; i <= MAX_RECEIVERS; i++) {
-            countValues.push({ title: `${i}`, value: `${i}` });
-        }
+        const count = receivers.length;
+        const defaultName = (position) => `${DEFAULT_DEVICE_NAME}${count > 1 ? ` ${position}` : ''}`;
+
+        // Add a receiver, or remove one
+        const actions = [
+            { title: '(none)', value: '' },
+            { title: 'Add a receiver', value: 'add' }
+        ];
+        receivers.forEach((receiver, position) => {
+            if (this.isDeclared(receiver.id)) {
+                return;
+            }
+            actions.push({
+                title: `Remove ${receiver.device_name || defaultName(position + 1)}`,
+                value: `remove:${receiver.id}`
+            });
+        });
 
         l.layout.push({
             type: 'dropdown',
-            title: 'Number of Receivers',
-            values: countValues,
-            setting: 'receiver_count'
+            title: 'Add or Remove Receivers',
+            subtitle: 'Changes show below at once and take effect when saved.',
+            values: actions,
+            setting: 'receiver_action'
         });
 
         // Dynamic receiver fields
-        const count = parseInt(values.receiver_count) || 1;
-        for (let i = 1; i <= count; i++) {
-            const suffix = count > 1 ? ` ${i}` : '';
+        receivers.forEach((receiver, position) => {
+            const i = receiver.id;
 
-            // Set defaults for this receiver if not set
-            if (values[`ip_address_${i}`] === undefined) {
-                values[`ip_address_${i}`] = '';
-            }
-            if (!values[`port_${i}`]) {
-                values[`port_${i}`] = '8080';
-            }
+            Object.keys(RECEIVER_DEFAULTS).forEach((field) => {
+                values[`${field}_${i}`] = receiver[field];
+            });
             if (!values[`device_name_${i}`]) {
-                values[`device_name_${i}`] = `Denon/Marantz Receiver${suffix}`;
+                values[`device_name_${i}`] = defaultName(position + 1);
             }
 
             // Add a label/separator for multi-receiver setups
             if (count > 1) {
                 l.layout.push({
                     type: 'label',
-                    title: `── Receiver${suffix} ──`
+                    title: `── Receiver ${position + 1} ──`
+                });
+            }
+
+            const declared = this.receiverConfig ? this.receiverConfig.find(i) : null;
+            if (declared) {
+                l.layout.push({
+                    type: 'label',
+                    title: `Set up in ${declared.source} (ID ${i}). Settings shown as text can only be changed there.`
+                });
+            }
+            const firstField = l.layout.length;
+
+            // Receivers found on the network (only shown once something is discovered)
+            const receiverChoices = this.makeReceiverChoices(values[`receiver_udn_${i}`]);
+            if (receiverChoices.length > 1) {
+                l.layout.push({
+                    type: 'dropdown',
+                    title: 'Receiver',
+                    subtitle: 'Pick a receiver found on your network to follow it if its IP address changes, or Manual to use the IP address below.',
+                    values: receiverChoices,
+                    setting: `receiver_udn_${i}`
                 });
             }
 
@@ -198,6 +527,18 @@ class SettingsManager {
                 setting: `port_${i}`
             });
 
+            l.layout.push({
+                type: 'dropdown',
+                title: 'Connection',
+                subtitle: 'Automatic uses the HTTP API and switches to the HEOS CLI (port 1255) if the receiver blocks it. HEOS controls the main zone only and can\'t read power or input; use Telnet push for those.',
+                values: [
+                    { title: 'Automatic', value: 'auto' },
+                    { title: 'HTTP API (goform)', value: 'goform' },
+                    { title: 'HEOS CLI', value: 'heos' }
+                ],
+                setting: `transport_${i}`
+            });
+
             l.layout.push({
                 type: 'string',
                 title: 'Device Name',
@@ -205,61 +546,465 @@ class SettingsManager {
                 maxlength: 256,
                 setting: `device_name_${i}`
             });
-        }
+
+            l.layout.push({
+                type: 'dropdown',
+                title: 'Volume Display',
+                subtitle: 'Match the volume scale shown on the receiver\'s front panel.',
+                values: [
+                    { title: 'Absolute (0 to 98)', value: 'number' },
+                    { title: 'Relative dB (-79.5 dB to +18 dB)', value: 'db' }
+                ],
+                setting: `volume_display_${i}`
+            });
+
+            l.layout.push({
+                type: 'dropdown',
+                title: 'Volume Curve',
+                subtitle: 'How Roon\'s slider maps to the receiver\'s volume. Logarithmic gives more of the slider to quiet and normal listening levels.',
+                values: [
+                    { title: 'Linear', value: 'linear' },
+                    { title: 'Logarithmic', value: 'logarithmic' },
+                    { title: 'Custom', value: 'custom' }
+                ],
+                setting: `volume_curve_${i}`
+            });
+
+            if (values[`volume_curve_${i}`] === 'custom') {
+                l.layout.push({
+                    type: 'string',
+                    title: 'Curve Points',
+                    subtitle: 'Slider:receiver pairs on the absolute 0-98 scale, rising on both sides, e.g. "0:0, 50:35, 98:70". Invalid tables fall back to linear.',
+                    maxlength: 256,
+                    setting: `volume_curve_points_${i}`
+                });
+            }
+
+            l.layout.push({
+                type: 'string',
+                title: 'Maximum Volume',
+                subtitle: `Hard ceiling for volume set from Roon, on the absolute 0-${MAX_VOLUME} scale (80 = 0 dB). Requests above it are clamped.`,
+                maxlength: 4,
+                setting: `max_volume_${i}`
+            });
+
+            l.layout.push({
+                type: 'string',
+                title: 'Safe Volume',
+                subtitle: 'On the absolute 0-98 scale. If set, the volume is lowered to this level when the receiver powers on or the extension reconnects above it. Leave empty to disable.',
+                maxlength: 4,
+                setting: `safe_volume_${i}`
+            });
+
+            l.layout.push({
+                type: 'string',
+                title: 'Volume Ramp (dB/s)',
+                subtitle: 'Move toward volume changes from Roon at this rate instead of jumping, e.g. 10. Leave empty to change instantly.',
+                maxlength: 5,
+                setting: `ramp_rate_${i}`
+            });
+
+            l.layout.push({
+                type: 'string',
+                title: 'Mute Fade (seconds)',
+                subtitle: 'Fade out before muting and back in after unmuting, e.g. 1.5. Leave empty to mute instantly.',
+                maxlength: 5,
+                setting: `mute_fade_${i}`
+            });
+
+            // Receivers can only be grouped with another one
+            if (count > 1) {
+                const groupChoices = [{ title: 'None (own volume control)', value: '' }];
+                receivers.forEach((other, otherPosition) => {
+                    if (other !== receiver) {
+                        groupChoices.push({
+                            title: `Receiver ${otherPosition + 1} (${other.device_name || defaultName(otherPosition + 1)})`,
+                            value: other.id
+                        });
+                    }
+                });
+
+                l.layout.push({
+                    type: 'dropdown',
+                    title: 'Group With',
+                    subtitle: 'Move this receiver\'s volume and mute together with another receiver, controlled from that receiver\'s volume control in Roon.',
+                    values: groupChoices,
+                    setting: `group_with_${i}`
+                });
+
+                if (values[`group_with_${i}`]) {
+                    l.layout.push({
+                        type: 'string',
+                        title: 'Group Offset (dB)',
+                        subtitle: 'Volume of this receiver relative to the one it is grouped with, e.g. -3. Leave empty for none.',
+                        maxlength: 6,
+                        setting: `group_offset_${i}`
+                    });
+                }
+            }
+
+            // Once the receiver has been probed, offer only what the model supports
+            const capabilities = this.capabilities.get(i);
+
+            if (capabilities && capabilities.inputs.length > 0) {
+                const inputChoices = [{ title: 'Don\'t change input', value: '' }];
+                capabilities.inputs.forEach((input) => {
+                    inputChoices.push({ title: input, value: input });
+                });
+                const currentInput = values[`roon_input_${i}`];
+                if (currentInput && !capabilities.inputs.includes(currentInput)) {
+                    inputChoices.push({ title: currentInput, value: currentInput });
+                }
+
+                l.layout.push({
+                    type: 'dropdown',
+                    title: 'Roon Input',
+                    subtitle: 'Input selected when Roon starts playing.',
+                    values: inputChoices,
+                    setting: `roon_input_${i}`
+                });
+            } else {
+                l.layout.push({
+                    type: 'string',
+                    title: 'Roon Input',
+                    subtitle: 'Input selected when Roon starts playing, as used in SI commands (e.g. NET, CD, AUX1). Leave empty to keep the current input.',
+                    maxlength: 32,
+                    setting: `roon_input_${i}`
+                });
+            }
+
+            // Sound modes belong to the main zone
+            if (String(values[`zones_${i}`] || 'main').split(',').includes('main')) {
+                const soundModeChoices = [{ title: 'Don\'t change sound mode', value: '' }];
+                MarantzClient.SOUND_MODES.forEach((mode) => {
+                    soundModeChoices.push({ title: mode.title, value: mode.value });
+                });
+
+                l.layout.push({
+                    type: 'dropdown',
+                    title: 'Roon Sound Mode',
+                    subtitle: 'Sound mode selected in the main zone when Roon starts playing, e.g. Pure Direct or Stereo for music.',
+                    values: soundModeChoices,
+                    setting: `sound_mode_${i}`
+                });
+            }
+
+            const zoneCount = capabilities ? capabilities.zoneCount : ZONE_CHOICES.length;
+            const zoneChoices = ZONE_CHOICES
+                .filter((choice) => choice.zones <= zoneCount || choice.value === values[`zones_${i}`])
+                .map((choice) => ({ title: choice.title, value: choice.value }));
+
+            // Single-zone models have nothing to choose
+            if (zoneChoices.length > 1) {
+                l.layout.push({
+                    type: 'dropdown',
+                    title: 'Zones',
+                    subtitle: 'Each zone appears as its own volume control in Roon.',
+                    values: zoneChoices,
+                    setting: `zones_${i}`
+                });
+            }
+
+            l.layout.push({
+                type: 'dropdown',
+                title: 'Status Updates',
+                subtitle: 'Telnet receives changes instantly but the receiver allows only one telnet client. Falls back to polling when the port is busy.',
+                values: [
+                    { title: 'HTTP polling', value: 'poll' },
+                    { title: 'Telnet push (port 23)', value: 'telnet' }
+                ],
+                setting: `update_method_${i}`
+            });
+
+            l.layout.push({
+                type: 'string',
+                title: 'Refresh Interval (seconds)',
+                subtitle: 'How often the receiver\'s status is read while nothing changes. After a change it is read every second for a few seconds. With telnet, used only while falling back to polling.',
+                maxlength: 4,
+                setting: `poll_interval_${i}`
+            });
+
+            l.layout.push({
+                type: 'string',
+                title: 'Standby Interval (seconds)',
+                subtitle: 'How often the status is read while the receiver is in standby.',
+                maxlength: 4,
+                setting: `standby_interval_${i}`
+            });
+
+            const lockedSettings = this.getLockedFields(i).map((field) => `${field}_${i}`);
+            l.layout.splice(firstField, l.layout.length - firstField,
+                ...l.layout.slice(firstField).map((item) => lockedSettings.includes(item.setting)
+                    ? this.makeReadOnly(item, values[item.setting])
+                    : item));
+        });
+
+        l.layout.forEach((item) => {
+            if (item.setting && errors[item.setting]) {
+                item.error = errors[item.setting];
+            }
+        });
 
         return l;
     }
 
     /**
-     * Get current settings (with migration from old format)
+     * Show a setting that can't be edited in Roon as text
+     */
+    makeReadOnly(item, value) {
+        const choice = (item.values || []).find((c) => c.value === value);
+        const text = choice ? choice.title : value;
+        return {
+            type: 'label',
+            title: `${item.title}: ${text || '(not set)'}`
+        };
+    }
+
+    /**
+     * Dropdown entries for discovered receivers
+     * A saved receiver that is currently not found stays selectable
+     */
+    makeReceiverChoices(selectedUdn) {
+        const choices = [{ title: 'Manual (use IP address)', value: '' }];
+        const devices = this.discovery ? this.discovery.getDevices() : [];
+
+        devices.forEach((device) => {
+            const model = device.model_name ? `${device.manufacturer} ${device.model_name}`.trim() : device.manufacturer;
+            choices.push({
+                title: `${device.friendly_name || model} (${model}, ${device.ip_address})`,
+                value: device.udn
+            });
+        });
+
+        if (selectedUdn && !devices.some((device) => device.udn === selectedUdn)) {
+            choices.push({ title: 'Saved receiver (not currently found)', value: selectedUdn });
+        }
+
+        return choices;
+    }
+
+    /**
+     * Record capabilities probed from a receiver and refresh the settings UI
+     */
+    setCapabilities(id, capabilities) {
+        if (!capabilities) {
+            return;
+        }
+
+        const changed = JSON.stringify(this.capabilities.get(id)) !== JSON.stringify(capabilities);
+        this.capabilities.set(id, capabilities);
+
+        if (changed) {
+            this.refreshLayout();
+        }
+    }
+
+    /**
+     * Push a fresh layout to the Roon settings UI (e.g. after discovery)
+     */
+    refreshLayout() {
+        if (this.settings) {
+            this.settings.update_settings(this.makeLayout(this.get()));
+        }
+    }
+
+    /**
+     * Follow receivers selected by UDN to their current IP address
+     * Returns true if any address was updated (and saved)
+     */
+    resolveAddresses() {
+        if (!this.discovery) {
+            return false;
+        }
+
+        const settings = this.get();
+        let changed = false;
+
+        settings.receivers.forEach((receiver) => {
+            const udn = receiver.receiver_udn;
+            const device = udn && !this.getLockedFields(receiver.id).includes('ip_address')
+                ? this.discovery.findByUdn(udn)
+                : null;
+
+            if (device && device.ip_address !== receiver.ip_address) {
+                console.log(`Receiver ${receiver.id} moved from ${receiver.ip_address} to ${device.ip_address}`);
+                receiver.ip_address = device.ip_address;
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.save(settings);
+            if (this.onChange) {
+                this.onChange(settings);
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Get current settings (with migration from older formats)
+     * Receivers are a list of records with stable IDs:
+     *   { receivers: [{ id: '1', ip_address: '...', ... }], next_receiver_id: 2 }
      */
     get() {
         const persistedState = this.roon.load_config('settings') || {};
         const settings = { ...this.defaults, ...persistedState };
 
-        // Migrate old single-receiver format to new indexed format
+        if (!Array.isArray(settings.receivers)) {
+            settings.receivers = this.migrateReceivers(settings);
+            settings.next_receiver_id = this.getNextReceiverId(settings.next_receiver_id, settings.receivers);
+
+            // Save migrated settings
+            if (Object.keys(persistedState).length > 0) {
+                this.save(settings);
+            } else if (this.receiverConfig && this.receiverConfig.receivers.length > 0) {
+                // Declared receivers replace the empty one offered on a fresh install
+                settings.receivers = [];
+            }
+        }
+
+        if (this.receiverConfig) {
+            settings.receivers = this.receiverConfig.merge(settings.receivers);
+        }
+
+        // Fields added since the receiver was saved get their defaults
+        settings.receivers = settings.receivers.map((receiver) => ({ ...RECEIVER_DEFAULTS, ...receiver }));
+
+        return settings;
+    }
+
+    /**
+     * Move receivers from the older flat formats into records, removing the old keys
+     * Single receiver (ip_address, port, device_name) and numbered slots
+     * (receiver_count, ip_address_1, ...) keep their number as ID, so the
+     * Roon control keys and zone assignments stay the same; blank slots are dropped
+     */
+    migrateReceivers(settings) {
+        // Old single-receiver format
         if (settings.ip_address && !settings.ip_address_1) {
             settings.ip_address_1 = settings.ip_address;
             settings.port_1 = settings.port || '8080';
-            settings.device_name_1 = settings.device_name || 'Denon/Marantz Receiver';
-            // Clean up old keys
-            delete settings.ip_address;
-            delete settings.port;
-            delete settings.device_name;
-            // Save migrated settings
-            this.save(settings);
+            settings.device_name_1 = settings.device_name || DEFAULT_DEVICE_NAME;
         }
+        delete settings.ip_address;
+        delete settings.port;
+        delete settings.device_name;
 
-        return settings;
+        const count = parseInt(settings.receiver_count) || 1;
+        delete settings.receiver_count;
+
+        const receivers = [];
+        for (let i = 1; i <= Math.max(count, 1); i++) {
+            const receiver = this.makeReceiver(String(i));
+
+            Object.keys(RECEIVER_DEFAULTS).forEach((field) => {
+                const key = `${field}_${i}`;
+                if (settings[key] !== undefined) {
+                    receiver[field] = settings[key];
+                }
+            });
+
+            // Slots left blank would fail validation and block every save
+            if (receiver.ip_address) {
+                receivers.push(receiver);
+            }
+        }
+
+        if (receivers.length === 0) {
+            receivers.push(this.makeReceiver('1'));
+        }
+
+        // Clean up numbered keys, including slots beyond the count
+        Object.keys(settings).forEach((key) => {
+            const match = /^(.+)_\d+$/.exec(key);
+            if (match && RECEIVER_DEFAULTS[match[1]] !== undefined) {
+                delete settings[key];
+            }
+        });
+
+        return receivers;
     }
 
     /**
-     * Get configured receivers as an array
+     * Get configured receivers (those with an address) as an array
      */
     getReceivers() {
         const settings = this.get();
-        const count = parseInt(settings.receiver_count) || 1;
         const receivers = [];
 
-        for (let i = 1; i <= count; i++) {
-            const ip = settings[`ip_address_${i}`];
-            if (ip) {
+        settings.receivers.forEach((receiver) => {
+            const id = receiver.id;
+            const name = receiver.device_name;
+            if (receiver.ip_address) {
                 receivers.push({
-                    index: i,
-                    ip_address: ip,
-                    port: settings[`port_${i}`] || '8080',
-                    device_name: settings[`device_name_${i}`] || `Denon/Marantz Receiver ${i}`
+                    id: id,
+                    ip_address: receiver.ip_address,
+                    udn: receiver.receiver_udn || '',
+                    port: receiver.port || '8080',
+                    transport: receiver.transport || 'auto',
+                    device_name: name || `${DEFAULT_DEVICE_NAME} ${id}`,
+                    default_name: !name || name.replace(/ \d+$/, '') === DEFAULT_DEVICE_NAME,
+                    volume_display: receiver.volume_display || 'number',
+                    volume_curve: receiver.volume_curve || 'linear',
+                    volume_curve_points: VolumeCurve.parsePoints(receiver.volume_curve_points),
+                    max_volume: this.parseVolumeSetting(receiver.max_volume, MAX_VOLUME),
+                    safe_volume: this.parseVolumeSetting(receiver.safe_volume, null),
+                    ramp_rate: this.parsePositiveSetting(receiver.ramp_rate),
+                    mute_fade: this.parsePositiveSetting(receiver.mute_fade),
+                    group_with: receiver.group_with ? String(receiver.group_with) : null,
+                    group_offset: parseFloat(receiver.group_offset) || 0,
+                    roon_input: receiver.roon_input || '',
+                    sound_mode: MarantzClient.normalizeSoundMode(receiver.sound_mode) || '',
+                    zones: (receiver.zones || 'main').split(','),
+                    update_method: receiver.update_method || 'poll',
+                    poll_interval: this.parseIntervalSetting(receiver.poll_interval, DEFAULT_POLL_INTERVAL),
+                    standby_interval: this.parseIntervalSetting(receiver.standby_interval, DEFAULT_STANDBY_INTERVAL)
                 });
             }
-        }
+        });
 
         return receivers;
     }
 
+    /**
+     * Parse a volume setting (0-98), returning fallback when empty or invalid
+     */
+    parseVolumeSetting(value, fallback) {
+        const volume = parseFloat(value);
+        if (isNaN(volume)) {
+            return fallback;
+        }
+        return Math.min(Math.max(volume, 0), MAX_VOLUME);
+    }
+
+    /**
+     * Parse a polling interval in seconds (at least MIN_POLL_INTERVAL)
+     * Returns fallback when empty or invalid
+     */
+    parseIntervalSetting(value, fallback) {
+        const seconds = this.parsePositiveSetting(value);
+        return seconds === null ? fallback : Math.max(seconds, MIN_POLL_INTERVAL);
+    }
+
+    /**
+     * Parse a positive number setting, returning null when empty or invalid
+     */
+    parsePositiveSetting(value) {
+        const number = parseFloat(value);
+        return number > 0 ? number : null;
+    }
+
     /**
      * Save settings
+     * Values declared in config.json or the environment are not saved, so
+     * they keep coming from there
      */
     save(settings) {
+        if (this.receiverConfig) {
+            settings = { ...settings, receivers: this.receiverConfig.strip(settings.receivers) };
+        }
         this.roon.save_config('settings', settings);
     }
 
@@ -271,4 +1016,6 @@ class SettingsManager {
     }
 }
 
+SettingsManager.RECEIVER_DEFAULTS = RECEIVER_DEFAULTS;
+
 module.exports = SettingsManager;
@@ -0,0 +1,190 @@
+"use strict";
+
+const net = require('net');
+const EventEmitter = require('events');
+
+const DEFAULT_PORT = 23;
+const RECONNECT_DELAY = 5000;        // Initial reconnect delay (ms)
+const MAX_RECONNECT_DELAY = 60000;   // Upper bound for reconnect backoff (ms)
+const BUSY_THRESHOLD = 2000;         // A socket closed this soon after connecting means the port is taken
+
+/**
+ * Persistent connection to the Denon/Marantz line protocol (TCP 23).
+ *
+ * The receiver pushes unsolicited events (MV50, MUON, PWSTANDBY, ...) as
+ * CR-terminated lines. Only one client may hold the port at a time, so a
+ * refused or immediately dropped connection is reported as 'unavailable'
+ * and retried with exponential backoff.
+ */
+class TelnetConnection extends EventEmitter {
+    constructor(host, port = DEFAULT_PORT, label = '') {
+        super();
+        this.host = host;
+        this.port = port || DEFAULT_PORT;
+        this.label = label;
+        this.socket = null;
+        this.buffer = '';
+        this.connected = false;
+        this.connectedAt = null;
+        this.receivedData = false;
+        this.reconnectTimer = null;
+        this.reconnectDelay = RECONNECT_DELAY;
+        this.closed = true;
+    }
+
+    /**
+     * Get log prefix for this connection
+     */
+    get logPrefix() {
+        return this.label ? `[${this.label}] ` : '';
+    }
+
+    /**
+     * Open the connection (reconnects automatically until close() is called)
+     */
+    connect() {
+        this.closed = false;
+        this.clearReconnectTimer();
+
+        if (this.socket) {
+            return;
+        }
+
+        const socket = net.createConnection({ host: this.host, port: this.port });
+        this.socket = socket;
+        this.buffer = '';
+        this.receivedData = false;
+
+        socket.setEncoding('ascii');
+        socket.setKeepAlive(true, 30000);
+
+        socket.on('connect', () => {
+            this.connected = true;
+            this.connectedAt = Date.now();
+            console.log(`${this.logPrefix}Telnet connected to ${this.host}:${this.port}`);
+            this.emit('connected');
+        });
+
+        socket.on('data', (chunk) => {
+            this.receivedData = true;
+            this.handleData(chunk);
+        });
+
+        socket.on('error', (error) => {
+            if (error.code === 'ECONNREFUSED') {
+                this.emit('unavailable', 'connection refused');
+            } else {
+                console.error(`${this.logPrefix}Telnet error:`, error.message);
+                this.emit('unavailable', error.message);
+            }
+        });
+
+        socket.on('close', () => {
+            // Ignore sockets replaced or closed deliberately via close()
+            if (this.socket !== socket) {
+                return;
+            }
+
+            const wasConnected = this.connected;
+            const busy = wasConnected && !this.receivedData &&
+                Date.now() - this.connectedAt < BUSY_THRESHOLD;
+
+            this.socket = null;
+            this.connected = false;
+            this.connectedAt = null;
+
+            if (wasConnected) {
+                console.log(`${this.logPrefix}Telnet connection closed`);
+                this.emit('disconnected');
+            }
+
+            if (busy) {
+                console.log(`${this.logPrefix}Telnet port appears to be in use by another client`);
+                this.emit('unavailable', 'port busy');
+            }
+
+            // Reset backoff only after a connection that actually worked
+            if (wasConnected && !busy) {
+                this.reconnectDelay = RECONNECT_DELAY;
+            }
+
+            this.scheduleReconnect();
+        });
+    }
+
+    /**
+     * Split incoming data into CR-terminated lines
+     */
+    handleData(chunk) {
+        this.buffer += chunk;
+
+        const lines = this.buffer.split(/\r\n?|\n/);
+        this.buffer = lines.pop();
+
+        lines.forEach((line) => {
+            const trimmed = line.trim();
+            if (trimmed) {
+                this.emit('line', trimmed);
+            }
+        });
+    }
+
+    /**
+     * Send a command line (e.g. "MV50" or "MU?")
+     * Returns false if not connected
+     */
+    send(command) {
+        if (!this.connected || !this.socket) {
+            return false;
+        }
+
+        this.socket.write(`${command}\r`);
+        return true;
+    }
+
+    /**
+     * Schedule the next reconnect attempt with exponential backoff
+     */
+    scheduleReconnect() {
+        if (this.closed || this.reconnectTimer) {
+            return;
+        }
+
+        const delay = this.reconnectDelay;
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    /**
+     * Cancel a pending reconnect
+     */
+    clearReconnectTimer() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    /**
+     * Close the connection and stop reconnecting
+     */
+    close() {
+        this.closed = true;
+        this.clearReconnectTimer();
+        this.reconnectDelay = RECONNECT_DELAY;
+
+        if (this.socket) {
+            this.socket.destroy();
+            this.socket = null;
+        }
+        this.connected = false;
+    }
+}
+
+TelnetConnection.DEFAULT_PORT = DEFAULT_PORT;
+
+module.exports = TelnetConnection;
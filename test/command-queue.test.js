@@ -0,0 +1,97 @@
+"use strict";
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const CommandQueue = require('../command-queue');
+const { delay } = require('./helpers/fake-roon');
+
+/**
+ * Queue whose sends take a few milliseconds and are recorded
+ */
+function makeQueue() {
+    const sent = [];
+    let active = 0;
+
+    const queue = new CommandQueue(async (command) => {
+        active++;
+        assert.strictEqual(active, 1, 'only one command in flight');
+        sent.push(command);
+        await delay(5);
+        active--;
+        if (command === 'FAIL') {
+            throw new Error('failed');
+        }
+        return true;
+    });
+
+    return { queue, sent };
+}
+
+describe('CommandQueue', () => {
+    it('sends commands one at a time in order', async () => {
+        const { queue, sent } = makeQueue();
+
+        await Promise.all([queue.push('MV50'), queue.push('MUON'), queue.push('MVUP')]);
+
+        assert.deepStrictEqual(sent, ['MV50', 'MUON', 'MVUP']);
+        assert.strictEqual(queue.busy, false);
+    });
+
+    it('replaces waiting commands with the same key', async () => {
+        const { queue, sent } = makeQueue();
+
+        const results = await Promise.all([
+            queue.push('MV50', 'volume'),
+            queue.push('MV51', 'volume'),
+            queue.push('MUON', 'mute'),
+            queue.push('MV52', 'volume')
+        ]);
+
+        // MV50 was already in flight; MV52 goes after the mute requested before it
+        assert.deepStrictEqual(sent, ['MV50', 'MUON', 'MV52']);
+        assert.deepStrictEqual(results, [true, false, true, true]);
+    });
+
+    it('keeps commands without a key', async () => {
+        const { queue, sent } = makeQueue();
+
+        await Promise.all([queue.push('MVUP'), queue.push('MVUP'), queue.push('MVUP')]);
+
+        assert.deepStrictEqual(sent, ['MVUP', 'MVUP', 'MVUP']);
+    });
+
+    it('rejects a failed command and carries on', async () => {
+        const { queue, sent } = makeQueue();
+
+        const failed = queue.push('FAIL');
+        const next = queue.push('MV40');
+
+        await assert.rejects(failed, /failed/);
+        assert.strictEqual(await next, true);
+        assert.deepStrictEqual(sent, ['FAIL', 'MV40']);
+    });
+
+    it('emits idle when drained', async () => {
+        const { queue } = makeQueue();
+        let idle = 0;
+        queue.on('idle', () => idle++);
+
+        queue.push('MV40');
+        await queue.push('MV41');
+
+        assert.strictEqual(idle, 1);
+    });
+
+    it('drops waiting commands on clear', async () => {
+        const { queue, sent } = makeQueue();
+
+        const inFlight = queue.push('MV40');
+        const waiting = queue.push('MUON');
+        queue.clear();
+
+        assert.strictEqual(await waiting, false);
+        assert.strictEqual(await inFlight, true);
+        assert.deepStrictEqual(sent, ['MV40']);
+    });
+});
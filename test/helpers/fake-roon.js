@@ -0,0 +1,91 @@
+"use strict";
+
+/**
+ * Device registered with a fake Roon control service
+ * Keeps the latest state so tests can assert on what Roon would show
+ */
+class FakeDevice {
+    constructor(options) {
+        this.state = { ...options.state };
+        this.handlers = options;
+        this.destroyed = false;
+    }
+
+    update_state(state) {
+        this.state = { ...this.state, ...state };
+    }
+
+    destroy() {
+        this.destroyed = true;
+    }
+}
+
+/**
+ * Stand-in for RoonApiVolumeControl / RoonApiSourceControl
+ */
+class FakeControlService {
+    constructor() {
+        this.devices = [];
+    }
+
+    new_device(options) {
+        const device = new FakeDevice(options);
+        this.devices.push(device);
+        return device;
+    }
+
+    /**
+     * Devices that have not been destroyed
+     */
+    get activeDevices() {
+        return this.devices.filter((device) => !device.destroyed);
+    }
+}
+
+/**
+ * Stand-in for the RoonApi object: persisted config plus the control services
+ */
+class FakeRoon {
+    constructor(config = {}) {
+        this.config = { ...config };
+        this.services = {
+            RoonApiVolumeControl: new FakeControlService(),
+            RoonApiSourceControl: new FakeControlService()
+        };
+    }
+
+    load_config(key) {
+        return this.config[key];
+    }
+
+    save_config(key, value) {
+        this.config[key] = value;
+    }
+}
+
+/**
+ * Request object as passed to set_volume/set_mute/convenience_switch handlers
+ */
+function makeRequest(body = {}) {
+    return {
+        body: body,
+        completed: null,
+        send_complete(status, data) {
+            this.completed = { status: status, data: data };
+        }
+    };
+}
+
+/**
+ * Resolve after ms milliseconds
+ */
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    FakeRoon,
+    FakeControlService,
+    makeRequest,
+    delay
+};
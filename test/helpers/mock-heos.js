@@ -0,0 +1,216 @@
+"use strict";
+
+const net = require('net');
+
+/**
+ * Simulated HEOS CLI of a receiver with HEOS built in
+ *
+ * Implements the player commands used by HeosTransport (players, volume,
+ * mute) and pushes player_volume_changed events to registered clients.
+ * A second port accepts line protocol commands as the receiver's telnet
+ * port would.
+ *
+ * Run directly to start a simulator for manual testing:
+ *   node test/helpers/mock-heos.js [port]
+ */
+class MockHeos {
+    constructor(options = {}) {
+        this.pid = options.pid || 101;
+        this.model = options.model || 'Marantz SR7013';
+        this.ip = options.ip || '127.0.0.1';
+
+        this.volume = 40;
+        this.mute = false;
+
+        // Every HEOS command ("player/set_volume level=50") and line
+        // protocol command received, in order
+        this.commands = [];
+        this.lines = [];
+
+        // Number of upcoming player commands to answer with a failure
+        this.failures = 0;
+
+        this.sockets = new Set();
+        this.registered = new Set();
+        this.server = net.createServer((socket) => this.handleConnection(socket));
+        this.lineServer = net.createServer((socket) => this.handleLineConnection(socket));
+        this.port = null;
+        this.linePort = null;
+    }
+
+    /**
+     * Start listening on both ports; resolves with the HEOS port
+     */
+    async start(port = 0) {
+        this.port = await this.listen(this.server, port);
+        this.linePort = await this.listen(this.lineServer, 0);
+        return this.port;
+    }
+
+    /**
+     * Listen on a free port (or the given one)
+     */
+    listen(server, port) {
+        return new Promise((resolve) => {
+            server.listen(port, '127.0.0.1', () => resolve(server.address().port));
+        });
+    }
+
+    /**
+     * Stop listening and drop connected clients
+     */
+    async stop() {
+        this.sockets.forEach((socket) => socket.destroy());
+        await new Promise((resolve) => this.server.close(() => resolve()));
+        await new Promise((resolve) => this.lineServer.close(() => resolve()));
+    }
+
+    /**
+     * Simulate a volume change made with the front-panel knob or remote
+     */
+    setFrontPanelVolume(volume) {
+        this.volume = volume;
+        this.sendVolumeEvent();
+    }
+
+    /**
+     * Simulate a mute change made with the remote
+     */
+    setFrontPanelMute(mute) {
+        this.mute = mute;
+        this.sendVolumeEvent();
+    }
+
+    /**
+     * Read CLI commands from a client
+     */
+    handleConnection(socket) {
+        let buffer = '';
+
+        this.sockets.add(socket);
+        socket.setEncoding('utf8');
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            this.sockets.delete(socket);
+            this.registered.delete(socket);
+        });
+
+        socket.on('data', (data) => {
+            buffer += data;
+
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.substring(0, end);
+                buffer = buffer.substring(end + 2);
+                this.handleCommand(socket, line);
+            }
+        });
+    }
+
+    /**
+     * Record line protocol commands (one per connection or per line)
+     */
+    handleLineConnection(socket) {
+        let buffer = '';
+
+        socket.setEncoding('utf8');
+        socket.on('error', () => {});
+        socket.on('data', (data) => {
+            buffer += data;
+
+            let end;
+            while ((end = buffer.indexOf('\r')) !== -1) {
+                this.lines.push(buffer.substring(0, end));
+                buffer = buffer.substring(end + 1);
+            }
+        });
+    }
+
+    /**
+     * Answer a "heos://group/command?params" request
+     */
+    handleCommand(socket, line) {
+        const url = new URL(line);
+        const command = `${url.hostname}${url.pathname}`;
+        const params = url.searchParams;
+
+        const recorded = [...params].filter(([key]) => key !== 'pid').map(([key, value]) => `${key}=${value}`);
+        this.commands.push([command, ...recorded].join(' '));
+
+        if (command === 'system/register_for_change_events') {
+            this.registered.add(socket);
+            this.respond(socket, command, `enable=${params.get('enable')}`);
+            return;
+        }
+
+        if (command === 'player/get_players') {
+            this.respond(socket, command, '', [
+                { name: 'Living Room', pid: this.pid, model: this.model, ip: this.ip }
+            ]);
+            return;
+        }
+
+        if (params.get('pid') !== String(this.pid) || this.failures > 0) {
+            this.failures = Math.max(this.failures - 1, 0);
+            this.respond(socket, command, 'eid=2&text=ID Not Valid', undefined, 'fail');
+            return;
+        }
+
+        // Commands that change state first answer with an interim message
+        if (command.startsWith('player/set_') || command.startsWith('player/volume_')) {
+            this.respond(socket, command, 'command under process');
+        }
+
+        if (command === 'player/get_volume') {
+            this.respond(socket, command, `pid=${this.pid}&level=${this.volume}`);
+        } else if (command === 'player/set_volume') {
+            this.volume = parseInt(params.get('level'), 10);
+            this.respond(socket, command, `pid=${this.pid}&level=${this.volume}`);
+            this.sendVolumeEvent();
+        } else if (command === 'player/volume_up' || command === 'player/volume_down') {
+            const step = parseInt(params.get('step'), 10) || 5;
+            const delta = command === 'player/volume_up' ? step : -step;
+            this.volume = Math.min(Math.max(this.volume + delta, 0), 100);
+            this.respond(socket, command, `pid=${this.pid}&step=${step}`);
+            this.sendVolumeEvent();
+        } else if (command === 'player/get_mute') {
+            this.respond(socket, command, `pid=${this.pid}&state=${this.mute ? 'on' : 'off'}`);
+        } else if (command === 'player/set_mute') {
+            this.mute = params.get('state') === 'on';
+            this.respond(socket, command, `pid=${this.pid}&state=${params.get('state')}`);
+            this.sendVolumeEvent();
+        } else {
+            this.respond(socket, command, 'eid=1&text=Unrecognized Command', undefined, 'fail');
+        }
+    }
+
+    /**
+     * Send a response message
+     */
+    respond(socket, command, message, payload, result = 'success') {
+        const response = { heos: { command, result, message } };
+        if (payload !== undefined) {
+            response.payload = payload;
+        }
+        socket.write(`${JSON.stringify(response)}\r\n`);
+    }
+
+    /**
+     * Push the current volume and mute to registered clients
+     */
+    sendVolumeEvent() {
+        const message = `pid=${this.pid}&level=${this.volume}&mute=${this.mute ? 'on' : 'off'}`;
+        const event = JSON.stringify({ heos: { command: 'event/player_volume_changed', message } });
+
+        this.registered.forEach((socket) => socket.write(`${event}\r\n`));
+    }
+}
+
+module.exports = MockHeos;
+
+if (require.main === module) {
+    const heos = new MockHeos();
+    heos.start(parseInt(process.argv[2]) || 1255).then((port) => {
+        console.log(`Mock HEOS CLI listening on 127.0.0.1:${port}, line protocol on ${heos.linePort}`);
+    });
+}
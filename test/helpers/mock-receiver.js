@@ -0,0 +1,304 @@
+"use strict";
+
+const http = require('http');
+
+// Status documents served for each zone
+const STATUS_PATHS = {
+    '/goform/formMainZone_MainZoneXmlStatusLite.xml': 'main',
+    '/goform/formZone2_Zone2XmlStatusLite.xml': 'zone2',
+    '/goform/formZone3_Zone3XmlStatusLite.xml': 'zone3'
+};
+
+// How AppCommand.xml reports sound modes set with MS commands
+const SURROUND_NAMES = {
+    'DIRECT': 'Direct',
+    'PURE DIRECT': 'Pure Direct',
+    'STEREO': 'Stereo',
+    'MCH STEREO': 'Multi Ch Stereo'
+};
+
+// Zone elements in AppCommand.xml answers
+const BATCH_ZONES = { zone1: 'main', zone2: 'zone2', zone3: 'zone3' };
+
+/**
+ * Simulated Denon/Marantz receiver speaking the goform HTTP API
+ *
+ * Implements formiPhoneAppDirect.xml commands, the zone status documents,
+ * AppCommand.xml (and AppCommand0300.xml) batch queries and Deviceinfo.xml. Latency, HTTP errors and front-panel changes can be
+ * injected to exercise the extension without real hardware.
+ *
+ * Run directly to start a simulator for manual testing:
+ *   node test/helpers/mock-receiver.js [port]
+ */
+class MockReceiver {
+    constructor(options = {}) {
+        this.modelName = options.modelName || 'SR7013';
+        this.brandCode = options.brandCode !== undefined ? options.brandCode : 1;
+        this.maxVolume = options.maxVolume || 98;
+        this.inputs = options.inputs || ['CD', 'NET', 'TV', 'AUX1'];
+
+        // Older models answer AppCommand.xml with 404; some newer ones only
+        // answer AppCommand0300.xml
+        this.appCommand = options.appCommand !== false;
+        this.appCommand0300 = options.appCommand0300 === true;
+
+        // Injectable behaviour
+        this.latency = 0;             // Delay before every response (ms)
+        this.failures = 0;            // Number of upcoming requests to fail
+        this.failureStatus = 500;     // HTTP status used for injected failures
+
+        this.zones = {
+            main: { volume: 40, mute: false, power: 'ON', input: 'NET' },
+            zone2: { volume: 30, mute: false, power: 'OFF', input: 'TUNER' },
+            zone3: { volume: 30, mute: false, power: 'OFF', input: 'TUNER' }
+        };
+        this.surround = 'Stereo';
+        this.tone = { enabled: true, bass: 2, treble: -1.5 };
+
+        // Every command received, in order
+        this.commands = [];
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.port = null;
+    }
+
+    /**
+     * Start listening; resolves with the port (0 picks a free port)
+     */
+    start(port = 0) {
+        return new Promise((resolve) => {
+            this.server.listen(port, '127.0.0.1', () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        return new Promise((resolve) => {
+            this.server.close(() => resolve());
+        });
+    }
+
+    /**
+     * Fail the next count requests with the given HTTP status
+     */
+    failNext(count = 1, status = 500) {
+        this.failures = count;
+        this.failureStatus = status;
+    }
+
+    /**
+     * Simulate a volume change made with the front-panel knob or remote
+     */
+    setFrontPanelVolume(volume, zone = 'main') {
+        this.zones[zone].volume = volume;
+    }
+
+    /**
+     * Simulate a mute change made with the remote
+     */
+    setFrontPanelMute(mute, zone = 'main') {
+        this.zones[zone].mute = mute;
+    }
+
+    /**
+     * Read the request body, then route it
+     */
+    handleRequest(req, res) {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (data) => {
+            body += data;
+        });
+        req.on('end', () => this.routeRequest(req, res, body));
+    }
+
+    /**
+     * Route a request after the configured latency
+     */
+    routeRequest(req, res, body) {
+        setTimeout(() => {
+            if (this.failures > 0) {
+                this.failures--;
+                res.writeHead(this.failureStatus);
+                res.end();
+                return;
+            }
+
+            const url = new URL(req.url, 'http://localhost');
+
+            if (url.pathname === '/goform/formiPhoneAppDirect.xml') {
+                const command = decodeURIComponent(url.search.substring(1));
+                this.commands.push(command);
+                this.applyCommand(command);
+                this.sendXml(res, '<?xml version="1.0" encoding="utf-8" ?><item></item>');
+            } else if (STATUS_PATHS[url.pathname]) {
+                this.sendXml(res, this.makeStatus(STATUS_PATHS[url.pathname]));
+            } else if (url.pathname === '/goform/AppCommand.xml' && req.method === 'POST' && this.appCommand) {
+                this.sendXml(res, this.makeBatchReply(body));
+            } else if (url.pathname === '/goform/AppCommand0300.xml' && req.method === 'POST' && this.appCommand0300) {
+                this.sendXml(res, this.makeBatchReply(body));
+            } else if (url.pathname === '/goform/Deviceinfo.xml') {
+                this.sendXml(res, this.makeDeviceInfo());
+            } else {
+                res.writeHead(404);
+                res.end();
+            }
+        }, this.latency);
+    }
+
+    /**
+     * Apply a formiPhoneAppDirect command to the simulated state
+     */
+    applyCommand(command) {
+        const main = this.zones.main;
+        let match;
+
+        if (command === 'MVUP') {
+            main.volume = Math.min(main.volume + 0.5, this.maxVolume);
+        } else if (command === 'MVDN') {
+            main.volume = Math.max(main.volume - 0.5, 0);
+        } else if ((match = /^MV(\d{2,3})$/.exec(command))) {
+            main.volume = this.parseVolumeParam(match[1]);
+        } else if (command === 'MUON' || command === 'MUOFF') {
+            main.mute = command === 'MUON';
+        } else if (command === 'PWON') {
+            main.power = 'ON';
+        } else if (command === 'PWSTANDBY') {
+            main.power = 'STANDBY';
+        } else if (command.startsWith('SI')) {
+            main.input = command.substring(2);
+        } else if (command.startsWith('MS')) {
+            this.surround = SURROUND_NAMES[command.substring(2)] || command.substring(2);
+        } else if ((match = /^Z([23])(.+)$/.exec(command))) {
+            this.applyZoneCommand(this.zones[`zone${match[1]}`], match[2]);
+        }
+    }
+
+    /**
+     * Apply a Zone 2/3 command with the "Z2"/"Z3" prefix removed
+     */
+    applyZoneCommand(zone, param) {
+        if (param === 'UP') {
+            zone.volume = Math.min(zone.volume + 1, this.maxVolume);
+        } else if (param === 'DOWN') {
+            zone.volume = Math.max(zone.volume - 1, 0);
+        } else if (/^\d{2,3}$/.test(param)) {
+            zone.volume = this.parseVolumeParam(param);
+        } else if (param === 'MUON' || param === 'MUOFF') {
+            zone.mute = param === 'MUON';
+        } else if (param === 'ON' || param === 'OFF') {
+            zone.power = param;
+        } else {
+            zone.input = param;
+        }
+    }
+
+    /**
+     * "50" -> 50, "505" -> 50.5
+     */
+    parseVolumeParam(param) {
+        const value = parseInt(param, 10);
+        return param.length === 3 ? value / 10 : value;
+    }
+
+    /**
+     * Build a *XmlStatusLite document (volume in relative dB)
+     */
+    makeStatus(zoneName) {
+        const zone = this.zones[zoneName];
+        const volume = zone.volume === 0 ? '--' : (zone.volume - 80).toFixed(1);
+
+        return '<?xml version="1.0" encoding="utf-8" ?>' +
+            '<item>' +
+            `<Power><value>${zone.power}</value></Power>` +
+            `<InputFuncSelect><value>${zone.input}</value></InputFuncSelect>` +
+            '<VolumeDisplay><value>Absolute</value></VolumeDisplay>' +
+            `<MasterVolume><value>${volume}</value></MasterVolume>` +
+            `<Mute><value>${zone.mute ? 'on' : 'off'}</value></Mute>` +
+            '</item>';
+    }
+
+    /**
+     * Answer the <cmd> queries of an AppCommand.xml request in order
+     */
+    makeBatchReply(body) {
+        const commands = [...body.matchAll(/<cmd id="1">(\w+)<\/cmd>/g)].map((match) => match[1]);
+        const perZone = (build) => Object.keys(BATCH_ZONES)
+            .map((key) => `<${key}>${build(this.zones[BATCH_ZONES[key]])}</${key}>`)
+            .join('');
+        const level = (db) => `${db > 0 ? '+' : ''}${db}dB`;
+
+        const answers = commands.map((command) => {
+            switch (command) {
+                case 'GetAllZonePowerStatus':
+                    return perZone((zone) => zone.power);
+                case 'GetAllZoneVolume':
+                    return perZone((zone) => `<volume>${zone.volume === 0 ? '--' : (zone.volume - 80).toFixed(1)}</volume>`);
+                case 'GetAllZoneMuteStatus':
+                    return perZone((zone) => (zone.mute ? 'on' : 'off'));
+                case 'GetAllZoneSource':
+                    return perZone((zone) => `<source>${zone.input}</source>`);
+                case 'GetSurroundModeStatus':
+                    return `<surround> ${this.surround} </surround>`;
+                case 'GetToneControl':
+                    return `<status>${this.tone.enabled ? 1 : 0}</status><adjust>1</adjust>` +
+                        `<basslevel>${level(this.tone.bass)}</basslevel><bassvalue>${50 + this.tone.bass}</bassvalue>` +
+                        `<treblelevel>${level(this.tone.treble)}</treblelevel><treblevalue>${50 + this.tone.treble}</treblevalue>`;
+                default:
+                    return '';
+            }
+        });
+
+        return '<?xml version="1.0" encoding="utf-8" ?><rx>' +
+            answers.map((answer) => `<cmd>${answer}</cmd>`).join('') +
+            '</rx>';
+    }
+
+    /**
+     * Build a Deviceinfo.xml document
+     */
+    makeDeviceInfo() {
+        const sources = this.inputs
+            .map((input) => `<Source><FuncName>${input}</FuncName></Source>`)
+            .join('');
+
+        const zones = [0, 1, 2].map((no) =>
+            '<DeviceZoneCapabilities>' +
+            `<Zone><No>${no}</No></Zone>` +
+            `<Volume><MaxValue>${this.maxVolume}</MaxValue></Volume>` +
+            `<InputSource><List>${sources}</List></InputSource>` +
+            '</DeviceZoneCapabilities>'
+        ).join('');
+
+        return '<?xml version="1.0" encoding="utf-8" ?>' +
+            '<Device_Info>' +
+            '<CommApiVers>0301</CommApiVers>' +
+            `<BrandCode>${this.brandCode}</BrandCode>` +
+            `<ModelName>*${this.modelName}</ModelName>` +
+            '<DeviceZones>3</DeviceZones>' +
+            zones +
+            '</Device_Info>';
+    }
+
+    /**
+     * Send an XML response
+     */
+    sendXml(res, body) {
+        res.writeHead(200, { 'Content-Type': 'text/xml' });
+        res.end(body);
+    }
+}
+
+module.exports = MockReceiver;
+
+if (require.main === module) {
+    const receiver = new MockReceiver();
+    receiver.start(parseInt(process.argv[2]) || 8080).then((port) => {
+        console.log(`Mock receiver listening on http://127.0.0.1:${port}/goform/`);
+    });
+}
@@ -0,0 +1,208 @@
+"use strict";
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const MarantzClient = require('../marantz-client');
+const MockHeos = require('./helpers/mock-heos');
+const MockReceiver = require('./helpers/mock-receiver');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('MarantzClient over the HEOS CLI', () => {
+    const heos = new MockHeos();
+    let client;
+
+    before(async () => {
+        await heos.start();
+    });
+
+    after(async () => {
+        await heos.stop();
+    });
+
+    beforeEach(() => {
+        heos.commands = [];
+        heos.lines = [];
+        heos.volume = 40;
+        heos.mute = false;
+
+        client = new MarantzClient('127.0.0.1', '8080', 'HEOS', 'main', 'heos');
+        client.transport.port = heos.port;
+        client.transport.linePort = heos.linePort;
+        client.on('error', () => {});
+    });
+
+    afterEach(() => {
+        client.destroy();
+    });
+
+    it('finds the player and reads volume and mute', async () => {
+        const status = await client.getStatus();
+
+        assert.deepStrictEqual(status, {
+            volume: 40, mute: false, power: null, input: null, soundMode: null, tone: null, zones: null
+        });
+        assert.deepStrictEqual(heos.commands, [
+            'system/register_for_change_events enable=on',
+            'player/get_players',
+            'player/get_volume',
+            'player/get_mute'
+        ]);
+        assert.strictEqual(client.connectionState, 'online');
+    });
+
+    it('sends volume and mute as player commands in whole steps', async () => {
+        await client.setVolume(50.5);
+        await client.volumeUp();
+        await client.setMute(true);
+
+        assert.deepStrictEqual(heos.commands.slice(2), [
+            'player/set_volume level=51',
+            'player/volume_up step=1',
+            'player/set_mute state=on'
+        ]);
+        assert.strictEqual(heos.volume, 52);
+        assert.strictEqual(heos.mute, true);
+    });
+
+    it('sends power and input over the line protocol', async () => {
+        await client.powerOn();
+        await client.selectInput('CD');
+        await delay(50);
+
+        assert.deepStrictEqual(heos.lines, ['PWON', 'SICD']);
+    });
+
+    it('emits changes pushed as HEOS events', async () => {
+        await client.getStatus();
+
+        const volumes = [];
+        const mutes = [];
+        client.on('volumeChanged', (volume) => volumes.push(volume));
+        client.on('muteChanged', (mute) => mutes.push(mute));
+
+        heos.setFrontPanelVolume(33);
+        heos.setFrontPanelMute(true);
+        await delay(50);
+
+        assert.deepStrictEqual(volumes, [33]);
+        assert.deepStrictEqual(mutes, [true]);
+    });
+
+    it('ignores a malformed volume level', async () => {
+        await client.getStatus();
+
+        const volumes = [];
+        const mutes = [];
+        client.on('volumeChanged', (volume) => volumes.push(volume));
+        client.on('muteChanged', (mute) => mutes.push(mute));
+
+        heos.volume = 'n/a';
+        heos.mute = true;
+        heos.sendVolumeEvent();
+        await delay(50);
+
+        assert.deepStrictEqual(volumes, []);
+        assert.deepStrictEqual(mutes, [true]);
+        assert.strictEqual(client.currentVolume, 40);
+        assert.strictEqual((await client.getStatus()).volume, null);
+    });
+
+    it('rolls back when the player rejects a command', async () => {
+        await client.getStatus();
+
+        const rejected = [];
+        client.on('rejected', (field, requested, actual) => rejected.push([field, requested, actual]));
+
+        heos.failures = 1;
+        await assert.rejects(client.setVolume(60));
+
+        assert.deepStrictEqual(rejected, [['volume', 60, 40]]);
+        assert.strictEqual(client.currentVolume, 40);
+    });
+
+    it('reads the model from the player info', async () => {
+        const capabilities = await client.getDeviceInfo();
+
+        assert.strictEqual(capabilities.brand, 'Marantz');
+        assert.strictEqual(capabilities.modelName, 'SR7013');
+    });
+
+    it('keeps other zones on goform', () => {
+        const zoneClient = new MarantzClient('127.0.0.1', '8080', 'Zone', 'zone2', 'heos');
+
+        assert.strictEqual(zoneClient.transport.name, 'goform');
+        zoneClient.destroy();
+    });
+});
+
+describe('MarantzClient automatic transport', () => {
+    const heos = new MockHeos();
+    const receiver = new MockReceiver();
+    let client;
+
+    before(async () => {
+        await heos.start();
+        await receiver.start();
+    });
+
+    after(async () => {
+        await heos.stop();
+        await receiver.stop();
+    });
+
+    beforeEach(() => {
+        client = new MarantzClient('127.0.0.1', receiver.port, 'Auto');
+        client.on('error', () => {});
+    });
+
+    afterEach(() => {
+        client.destroy();
+    });
+
+    it('stays on goform while it answers', async () => {
+        client.heosPort = heos.port;
+        await client.getStatus();
+
+        assert.strictEqual(client.transport.name, 'goform');
+        assert.strictEqual(client.heosTried, false);
+    });
+
+    it('switches to HEOS when goform is blocked', async () => {
+        client.heosPort = heos.port;
+        receiver.failNext(2, 403);
+
+        const status = await client.getStatus();
+
+        assert.strictEqual(client.transport.name, 'heos');
+        assert.strictEqual(status.volume, heos.volume);
+        assert.strictEqual(client.connectionState, 'online');
+    });
+
+    it('stays on goform after a server error', async () => {
+        client.heosPort = heos.port;
+        receiver.failNext(1, 503);
+
+        const status = await client.getStatus();
+
+        assert.strictEqual(status, null);
+        assert.strictEqual(client.transport.name, 'goform');
+        assert.strictEqual(client.heosTried, false);
+
+        // The next read succeeds on goform
+        assert.strictEqual((await client.getStatus()).volume, receiver.zones.main.volume);
+        assert.strictEqual(client.transport.name, 'goform');
+    });
+
+    it('stays on goform when HEOS is not available', async () => {
+        client.heosPort = receiver.port;
+        receiver.failNext(2, 403);
+
+        const status = await client.getStatus();
+
+        assert.strictEqual(status, null);
+        assert.strictEqual(client.transport.name, 'goform');
+        assert.strictEqual(client.heosTried, true);
+    });
+});
@@ -0,0 +1,153 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fetch = require('node-fetch');
+
+const SettingsManager = require('../settings');
+const VolumeControl = require('../volume-control');
+const HttpApi = require('../http-api');
+const MockReceiver = require('./helpers/mock-receiver');
+const { FakeRoon, delay } = require('./helpers/fake-roon');
+
+describe('HttpApi', () => {
+    let receiver;
+    let volumeControl;
+    let api;
+    let baseUrl;
+
+    beforeEach(async () => {
+        receiver = new MockReceiver();
+        await receiver.start();
+
+        const roon = new FakeRoon({
+            settings: {
+                ip_address_1: '127.0.0.1',
+                port_1: String(receiver.port),
+                device_name_1: 'Living Room'
+            }
+        });
+
+        volumeControl = new VolumeControl(roon, new SettingsManager(roon));
+        volumeControl.initialize();
+        await delay(100);
+
+        api = new HttpApi(volumeControl);
+        const port = await api.start(0, '127.0.0.1');
+        baseUrl = `http://127.0.0.1:${port}`;
+    });
+
+    afterEach(async () => {
+        api.stop();
+        volumeControl.destroy();
+        await receiver.stop();
+    });
+
+    /**
+     * POST a JSON body
+     */
+    function post(path, body) {
+        return fetch(`${baseUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    it('lists receivers with their cached state', async () => {
+        const response = await fetch(`${baseUrl}/receivers`);
+        const receivers = await response.json();
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(receivers.length, 1);
+        assert.strictEqual(receivers[0].control_key, 'receiver_1');
+        assert.strictEqual(receivers[0].receiver_id, '1');
+        assert.strictEqual(receivers[0].name, 'Living Room');
+        assert.strictEqual(receivers[0].volume, 40);
+        assert.strictEqual(receivers[0].mute, false);
+        assert.strictEqual(receivers[0].power, 'ON');
+        assert.strictEqual(receivers[0].state, 'online');
+    });
+
+    it('returns one receiver or 404', async () => {
+        const found = await fetch(`${baseUrl}/receivers/receiver_1`);
+        assert.strictEqual(found.status, 200);
+        assert.strictEqual((await found.json()).name, 'Living Room');
+
+        const missing = await fetch(`${baseUrl}/receivers/receiver_5`);
+        assert.strictEqual(missing.status, 404);
+    });
+
+    it('sets volume through VolumeControl', async () => {
+        const response = await post('/receivers/receiver_1/volume', { value: 52 });
+        assert.strictEqual(response.status, 202);
+
+        await delay(300);
+        assert.deepStrictEqual(receiver.commands, ['MV52']);
+        assert.strictEqual(volumeControl.getReceiverSnapshot('receiver_1').volume, 52);
+    });
+
+    it('answers a ramped volume request before the ramp finishes', async () => {
+        volumeControl.receivers.get('receiver_1').ramp_rate = 2;
+
+        const started = Date.now();
+        const response = await post('/receivers/receiver_1/volume', { value: 52 });
+
+        assert.strictEqual(response.status, 202);
+        assert.ok(Date.now() - started < 1000);
+    });
+
+    it('listens on the loopback interface by default', async () => {
+        const local = new HttpApi(volumeControl);
+        await local.start(0);
+
+        try {
+            assert.strictEqual(local.server.address().address, '127.0.0.1');
+        } finally {
+            local.stop();
+        }
+    });
+
+    it('rejects invalid requests', async () => {
+        assert.strictEqual((await post('/receivers/receiver_1/volume', { value: 'loud' })).status, 400);
+        assert.strictEqual((await post('/receivers/receiver_1/mute', { mute: 'yes' })).status, 400);
+        assert.strictEqual((await post('/receivers/receiver_1/power', { power: 'off' })).status, 400);
+        assert.strictEqual((await fetch(`${baseUrl}/receivers/receiver_1/volume`)).status, 405);
+        assert.deepStrictEqual(receiver.commands, []);
+    });
+
+    it('sets mute and power', async () => {
+        assert.strictEqual((await post('/receivers/receiver_1/mute', { mute: true })).status, 202);
+
+        const power = await post('/receivers/receiver_1/power', { power: 'standby' });
+        assert.strictEqual(power.status, 200);
+        assert.deepStrictEqual(await power.json(), { status: 'Success' });
+
+        assert.deepStrictEqual(receiver.commands, ['MUON', 'PWSTANDBY']);
+    });
+
+    it('streams volume changes as Server-Sent Events', async () => {
+        const received = new Promise((resolve, reject) => {
+            const req = http.get(`${baseUrl}/events`, (res) => {
+                let data = '';
+                res.on('data', (chunk) => {
+                    data += chunk;
+                    if (data.includes('event: volumeChanged')) {
+                        req.destroy();
+                        resolve(data);
+                    }
+                });
+            });
+            req.on('error', reject);
+        });
+
+        // Let the stream open, then change the volume on the front panel
+        await delay(50);
+        receiver.setFrontPanelVolume(33);
+        await volumeControl.clients.get('receiver_1').getStatus();
+
+        const data = await received;
+        assert.match(data, /data: {"control_key":"receiver_1","volume":33}/);
+    });
+});
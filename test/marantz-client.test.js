@@ -0,0 +1,522 @@
+"use strict";
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const MarantzClient = require('../marantz-client');
+const MockReceiver = require('./helpers/mock-receiver');
+
+describe('MarantzClient volume conversion', () => {
+    const client = new MarantzClient('127.0.0.1');
+
+    it('parses relative dB status values to display values', () => {
+        assert.strictEqual(client.parseVolume('-29.5'), 50.5);
+        assert.strictEqual(client.parseVolume('-80.0'), 0);
+        assert.strictEqual(client.parseVolume('18.0'), 98);
+        assert.strictEqual(client.parseVolume('--'), 0);
+        assert.strictEqual(client.parseVolume(undefined), null);
+        assert.strictEqual(client.parseVolume('abc'), null);
+    });
+
+    it('formats whole and half values for MV commands', () => {
+        assert.strictEqual(client.formatVolume(50), '50');
+        assert.strictEqual(client.formatVolume(50.5), '505');
+        assert.strictEqual(client.formatVolume(50.3), '505');
+        assert.strictEqual(client.formatVolume(50.2), '50');
+        assert.strictEqual(client.formatVolume(5), '05');
+        assert.strictEqual(client.formatVolume(5.5), '055');
+        assert.strictEqual(client.formatVolume(0), '00');
+    });
+
+    it('parses line protocol volume parameters', () => {
+        assert.strictEqual(client.parseVolumeCommand('50'), 50);
+        assert.strictEqual(client.parseVolumeCommand('505'), 50.5);
+        assert.strictEqual(client.parseVolumeCommand('MAX 98'), null);
+    });
+
+    it('converts between display values and dB', () => {
+        assert.strictEqual(client.toDecibels(50.5), -29.5);
+        assert.strictEqual(client.fromDecibels(-29.5), 50.5);
+    });
+});
+
+describe('MarantzClient with a mock receiver', () => {
+    const receiver = new MockReceiver();
+    let client;
+
+    before(async () => {
+        await receiver.start();
+    });
+
+    after(async () => {
+        await receiver.stop();
+    });
+
+    beforeEach(() => {
+        receiver.commands = [];
+        client = new MarantzClient('127.0.0.1', receiver.port, 'Test');
+        client.on('error', () => {});
+    });
+
+    afterEach(() => {
+        client.destroy();
+    });
+
+    it('reads status and emits changes', async () => {
+        const volumes = [];
+        const mutes = [];
+        client.on('volumeChanged', (volume) => volumes.push(volume));
+        client.on('muteChanged', (mute) => mutes.push(mute));
+
+        receiver.setFrontPanelVolume(45.5);
+        const status = await client.getStatus();
+
+        assert.strictEqual(status.volume, 45.5);
+        assert.strictEqual(status.mute, false);
+        assert.strictEqual(status.power, 'ON');
+        assert.strictEqual(status.input, 'NET');
+        assert.deepStrictEqual(volumes, [45.5]);
+        assert.deepStrictEqual(mutes, [false]);
+
+        // Unchanged values are not re-emitted
+        await client.getStatus();
+        assert.deepStrictEqual(volumes, [45.5]);
+
+        receiver.setFrontPanelMute(true);
+        await client.getStatus();
+        assert.deepStrictEqual(mutes, [false, true]);
+    });
+
+    it('sends volume, mute and power commands', async () => {
+        await client.setVolume(50.5);
+        await client.volumeUp();
+        await client.volumeDown();
+        await client.setMute(true);
+        await client.powerOn();
+        await client.selectInput('CD');
+
+        assert.deepStrictEqual(receiver.commands, ['MV505', 'MVUP', 'MVDN', 'MUON', 'PWON', 'SICD']);
+        assert.strictEqual(receiver.zones.main.volume, 50.5);
+        assert.strictEqual(receiver.zones.main.input, 'CD');
+    });
+
+    it('reads every zone, surround mode and tone in one batch', async () => {
+        const states = [];
+        client.on('state', (state) => states.push(state));
+
+        // 0 dB; earlier tests leave the mock muted on CD
+        receiver.setFrontPanelVolume(80);
+        receiver.setFrontPanelMute(false);
+        receiver.zones.main.input = 'NET';
+        await client.getStatus();
+
+        assert.deepStrictEqual(states, [{
+            zone: 'main',
+            volume: 80,
+            mute: false,
+            power: 'ON',
+            input: 'NET',
+            soundMode: 'STEREO',
+            tone: { enabled: true, bass: 2, treble: -1.5 },
+            zones: {
+                main: { volume: 80, mute: false, power: 'ON', input: 'NET' },
+                zone2: { volume: 30, mute: false, power: 'OFF', input: 'TUNER' },
+                zone3: { volume: 30, mute: false, power: 'OFF', input: 'TUNER' }
+            }
+        }]);
+        assert.strictEqual(client.transport.batchSupported, true);
+        receiver.setFrontPanelVolume(40);
+    });
+
+    it('uses Z2 commands and status for Zone 2', async () => {
+        const zoneClient = new MarantzClient('127.0.0.1', receiver.port, 'Zone', 'zone2');
+
+        await zoneClient.setVolume(35);
+        await zoneClient.setMute(true);
+        const status = await zoneClient.getStatus();
+        zoneClient.destroy();
+
+        assert.deepStrictEqual(receiver.commands, ['Z235', 'Z2MUON']);
+        assert.strictEqual(status.volume, 35);
+        assert.strictEqual(status.mute, true);
+        assert.strictEqual(status.soundMode, null);
+    });
+
+    it('sets and reads the sound mode', async () => {
+        const modes = [];
+        client.on('soundModeChanged', (mode) => modes.push(mode));
+
+        try {
+            await client.setSoundMode('Pure Direct');
+            await client.getStatus();
+
+            assert.deepStrictEqual(receiver.commands, ['MSPURE DIRECT']);
+            assert.strictEqual(receiver.surround, 'Pure Direct');
+            assert.deepStrictEqual(modes, ['PURE DIRECT']);
+            assert.strictEqual(client.isSoundModeSelected('pure direct'), true);
+            assert.strictEqual(client.isSoundModeSelected('STEREO'), false);
+        } finally {
+            receiver.surround = 'Stereo';
+        }
+
+        const zoneClient = new MarantzClient('127.0.0.1', receiver.port, 'Zone', 'zone2');
+        await assert.rejects(zoneClient.setSoundMode('STEREO'), /Zone 2 has no sound mode/);
+        assert.strictEqual(zoneClient.isSoundModeSelected('STEREO'), null);
+        zoneClient.destroy();
+    });
+
+    it('rejects commands the receiver answers with an HTTP error', async () => {
+        receiver.failNext(1, 503);
+        await assert.rejects(client.setVolume(40), /status: 503/);
+    });
+
+    it('discards a status read that overlaps a command', async () => {
+        const volumes = [];
+        client.on('volumeChanged', (volume) => volumes.push(volume));
+        receiver.latency = 20;
+
+        try {
+            const status = client.getStatus();
+            await client.setVolume(60);
+
+            // Only the optimistic value; the stale reading of 40 is dropped
+            assert.strictEqual(await status, null);
+            assert.deepStrictEqual(volumes, [60]);
+        } finally {
+            receiver.latency = 0;
+        }
+    });
+
+    it('skips polls while commands are queued', async () => {
+        client.pollIntervalSeconds = 0.01;
+        client.polling = true;
+        receiver.latency = 30;
+
+        try {
+            const sent = client.setVolume(55);
+            client.poll(client.pollGeneration);
+            await sent;
+            client.stopPolling();
+
+            assert.deepStrictEqual(receiver.commands, ['MV55']);
+            assert.strictEqual(client.currentPower, null);
+        } finally {
+            receiver.latency = 0;
+        }
+    });
+
+    it('applies volume and mute at once and confirms them', async () => {
+        await client.getStatus();
+
+        const sent = client.setVolume(50);
+        client.setMute(true);
+        assert.strictEqual(client.currentVolume, 50);
+        assert.strictEqual(client.currentMute, true);
+        assert.ok(client.hasPendingState);
+
+        await sent;
+        await client.getStatus();
+        assert.strictEqual(client.hasPendingState, false);
+        assert.strictEqual(client.currentVolume, 50);
+        assert.strictEqual(client.currentMute, true);
+    });
+
+    it('rolls back a change the receiver ignored', async () => {
+        const rejected = [];
+        client.on('rejected', (field, requested, actual) => rejected.push([field, requested, actual]));
+        await client.getStatus();
+
+        // The mock accepts the command but the front panel puts it back
+        await client.setVolume(60);
+        receiver.setFrontPanelVolume(40);
+        await client.getStatus();
+
+        assert.strictEqual(client.currentVolume, 40);
+        assert.deepStrictEqual(rejected, [['volume', 60, 40]]);
+    });
+
+    it('rolls back a change the receiver refused', async () => {
+        const volumes = [];
+        const rejected = [];
+        await client.getStatus();
+        client.on('volumeChanged', (volume) => volumes.push(volume));
+        client.on('rejected', (field, requested, actual) => rejected.push([field, requested, actual]));
+
+        receiver.failNext(1, 503);
+        await assert.rejects(client.setVolume(70));
+
+        assert.deepStrictEqual(volumes, [70, 40]);
+        assert.deepStrictEqual(rejected, [['volume', 70, 40]]);
+        assert.strictEqual(client.hasPendingState, false);
+    });
+
+    it('ramps toward a target volume', async () => {
+        receiver.setFrontPanelVolume(40);
+        await client.getStatus();
+
+        const started = Date.now();
+        assert.strictEqual(await client.rampVolume(45, 20), true);
+
+        // 2 dB every 100 ms
+        assert.deepStrictEqual(receiver.commands, ['MV42', 'MV44', 'MV45']);
+        assert.ok(Date.now() - started >= 200);
+        assert.strictEqual(client.currentVolume, 45);
+    });
+
+    it('cancels a ramp when a new target arrives', async () => {
+        receiver.setFrontPanelVolume(40);
+        await client.getStatus();
+
+        const ramp = client.rampVolume(60, 10);
+        await new Promise((resolve) => setTimeout(resolve, 150));
+        await client.setVolume(30);
+
+        assert.strictEqual(await ramp, false);
+        await new Promise((resolve) => setTimeout(resolve, 150));
+
+        // A step or two went out, then nothing after the new target
+        assert.strictEqual(receiver.commands[0], 'MV41');
+        assert.strictEqual(receiver.commands[receiver.commands.length - 1], 'MV30');
+        assert.ok(receiver.commands.length <= 4);
+        assert.strictEqual(client.currentVolume, 30);
+    });
+
+    it('probes capabilities from Deviceinfo.xml', async () => {
+        const capabilities = await client.getDeviceInfo();
+
+        assert.strictEqual(capabilities.brand, 'Marantz');
+        assert.strictEqual(capabilities.modelName, 'SR7013');
+        assert.strictEqual(capabilities.zoneCount, 3);
+        assert.strictEqual(capabilities.apiVersion, '0301');
+        assert.strictEqual(capabilities.maxVolume, 98);
+        assert.deepStrictEqual(capabilities.inputs, ['CD', 'NET', 'TV', 'AUX1']);
+    });
+
+    it('probes a receiver without changing its state', async () => {
+        const probe = await client.probe();
+
+        assert.strictEqual(probe.result, 'ok');
+        assert.strictEqual(probe.capabilities.modelName, 'SR7013');
+        assert.strictEqual(client.capabilities, null);
+        assert.strictEqual(client.connectionState, 'connecting');
+    });
+
+    it('tells other devices and closed ports apart when probing', async () => {
+        const server = http.createServer((req, res) => {
+            res.writeHead(404);
+            res.end('Not found');
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        const port = server.address().port;
+
+        const other = new MarantzClient('127.0.0.1', port, 'Other', 'main', 'goform');
+        try {
+            assert.strictEqual((await other.probe()).result, 'not_receiver');
+        } finally {
+            other.destroy();
+            await new Promise((resolve) => server.close(resolve));
+        }
+
+        const closed = new MarantzClient('127.0.0.1', port, 'Closed', 'main', 'goform');
+        try {
+            assert.strictEqual((await closed.probe()).result, 'unreachable');
+        } finally {
+            closed.destroy();
+        }
+    });
+
+    it('tracks connection state', async () => {
+        assert.strictEqual(client.connectionState, 'connecting');
+
+        await client.getStatus();
+        assert.strictEqual(client.connectionState, 'online');
+
+        // A single failure is tolerated, repeated failures are not
+        receiver.failNext(2);
+        await client.getStatus();
+        assert.strictEqual(client.connectionState, 'online');
+        await client.getStatus();
+        assert.strictEqual(client.connectionState, 'unreachable');
+        assert.ok(client.getPollDelay() > client.pollIntervalSeconds);
+
+        receiver.zones.main.power = 'STANDBY';
+        await client.getStatus();
+        assert.strictEqual(client.connectionState, 'standby');
+        assert.ok(client.getPollDelay() < client.pollIntervalSeconds * 2);
+        receiver.zones.main.power = 'ON';
+    });
+
+    it('polls fast after activity and backs off while quiet', async () => {
+        client.pollIntervalSeconds = 5;
+        client.standbyIntervalSeconds = 30;
+        await client.getStatus();
+
+        // The first reading is not a change
+        assert.strictEqual(client.getPollDelay(), 5);
+
+        await client.setVolume(41);
+        assert.strictEqual(client.getPollDelay(), 1);
+
+        client.activeUntil = 0;
+        client.quietPolls = 6;
+        assert.strictEqual(client.getPollDelay(), 10);
+        client.quietPolls = 100;
+        assert.strictEqual(client.getPollDelay(), 20);
+
+        // A change on the receiver speeds polling up again
+        receiver.setFrontPanelVolume(38);
+        await client.getStatus();
+        assert.strictEqual(client.quietPolls, 0);
+        assert.strictEqual(client.getPollDelay(), 1);
+        receiver.setFrontPanelVolume(40);
+    });
+
+    it('polls at the standby interval while in standby', async () => {
+        client.pollIntervalSeconds = 5;
+        client.standbyIntervalSeconds = 30;
+        receiver.zones.main.power = 'STANDBY';
+
+        try {
+            await client.getStatus();
+            assert.strictEqual(client.getPollDelay(), 30);
+        } finally {
+            receiver.zones.main.power = 'ON';
+        }
+    });
+
+    it('counts polls without changes', async () => {
+        // Not polling, so nothing is scheduled afterwards
+        await client.poll(client.pollGeneration);
+        await client.poll(client.pollGeneration);
+
+        assert.strictEqual(client.quietPolls, 2);
+    });
+});
+
+describe('MarantzClient line protocol events', () => {
+    it('handles main zone events', () => {
+        const client = new MarantzClient('127.0.0.1');
+        const events = [];
+        ['volumeChanged', 'muteChanged', 'powerChanged', 'inputChanged', 'soundModeChanged'].forEach((event) => {
+            client.on(event, (value) => events.push([event, value]));
+        });
+
+        ['MV505', 'MVMAX 98', 'MUON', 'PWSTANDBY', 'SICD', 'MSQUICK1', 'MSMULTI CH STEREO', 'Z240']
+            .forEach((line) => client.handleTelnetLine(line));
+
+        assert.deepStrictEqual(events, [
+            ['volumeChanged', 50.5],
+            ['muteChanged', true],
+            ['powerChanged', 'STANDBY'],
+            ['inputChanged', 'CD'],
+            ['soundModeChanged', 'MCH STEREO']
+        ]);
+    });
+
+    it('handles Zone 2 events', () => {
+        const client = new MarantzClient('127.0.0.1', '8080', '', 'zone2');
+        const events = [];
+        ['volumeChanged', 'muteChanged', 'powerChanged', 'inputChanged'].forEach((event) => {
+            client.on(event, (value) => events.push([event, value]));
+        });
+
+        ['MV505', 'Z240', 'Z2MUON', 'Z2ON', 'Z2CV FL 50', 'Z2NET'].forEach((line) => client.handleTelnetLine(line));
+
+        assert.deepStrictEqual(events, [
+            ['volumeChanged', 40],
+            ['muteChanged', true],
+            ['powerChanged', 'ON'],
+            ['inputChanged', 'NET']
+        ]);
+    });
+});
+
+describe('MarantzClient with a receiver without AppCommand.xml', () => {
+    const receiver = new MockReceiver({ appCommand: false });
+    let client;
+
+    before(async () => {
+        await receiver.start();
+    });
+
+    after(async () => {
+        await receiver.stop();
+    });
+
+    beforeEach(() => {
+        client = new MarantzClient('127.0.0.1', receiver.port, 'Legacy', 'main', 'goform');
+    });
+
+    afterEach(() => {
+        client.destroy();
+    });
+
+    it('falls back to the XmlStatusLite document', async () => {
+        const states = [];
+        client.on('state', (state) => states.push(state));
+
+        await client.getStatus();
+        await client.getStatus();
+
+        assert.strictEqual(client.transport.batchSupported, false);
+        assert.strictEqual(states.length, 2);
+        assert.deepStrictEqual(states[1], {
+            zone: 'main',
+            volume: 40,
+            mute: false,
+            power: 'ON',
+            input: 'NET',
+            soundMode: null,
+            tone: null,
+            zones: null
+        });
+    });
+});
+
+describe('MarantzClient with a receiver answering AppCommand0300.xml only', () => {
+    const receiver = new MockReceiver({ appCommand: false, appCommand0300: true });
+    let client;
+
+    before(async () => {
+        await receiver.start();
+    });
+
+    after(async () => {
+        await receiver.stop();
+    });
+
+    beforeEach(() => {
+        client = new MarantzClient('127.0.0.1', receiver.port, 'API 0300', 'main', 'goform');
+    });
+
+    afterEach(() => {
+        client.destroy();
+    });
+
+    it('uses AppCommand0300.xml once the device info shows API 0300', async () => {
+        await client.getDeviceInfo();
+        const status = await client.getStatus();
+
+        assert.strictEqual(client.transport.batchPath, 'AppCommand0300.xml');
+        assert.strictEqual(client.transport.batchSupported, true);
+        assert.strictEqual(status.soundMode, 'Stereo');
+        assert.strictEqual(status.zones.zone2.input, 'TUNER');
+    });
+
+    it('tries AppCommand0300.xml when the device info arrives after a status read', async () => {
+        await client.getStatus();
+        assert.strictEqual(client.transport.batchSupported, false);
+
+        await client.getDeviceInfo();
+        await client.getStatus();
+        assert.strictEqual(client.transport.batchSupported, true);
+    });
+
+    it('leaves AppCommand0300.xml alone for older API versions', async () => {
+        await client.getStatus();
+
+        assert.strictEqual(client.transport.batchSupported, false);
+        assert.strictEqual(client.transport.batchPath, null);
+    });
+});
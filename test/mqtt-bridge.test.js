@@ -0,0 +1,161 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+
+const SettingsManager = require('../settings');
+const VolumeControl = require('../volume-control');
+const MqttBridge = require('../mqtt-bridge');
+const MockReceiver = require('./helpers/mock-receiver');
+const { FakeRoon, delay } = require('./helpers/fake-roon');
+
+/**
+ * Stand-in for an mqtt.js client recording retained messages
+ */
+class FakeMqttClient extends EventEmitter {
+    constructor(url, options) {
+        super();
+        this.url = url;
+        this.options = options;
+        this.connected = false;
+        this.retained = {};
+        this.subscriptions = [];
+        this.ended = false;
+    }
+
+    publish(topic, payload, options = {}) {
+        if (options.retain) {
+            this.retained[topic] = payload;
+        }
+    }
+
+    subscribe(topics) {
+        this.subscriptions.push(...topics);
+    }
+
+    end() {
+        this.ended = true;
+    }
+
+    connect() {
+        this.connected = true;
+        this.emit('connect');
+    }
+
+    receive(topic, payload) {
+        this.emit('message', topic, Buffer.from(payload));
+    }
+}
+
+describe('MqttBridge', () => {
+    let receiver;
+    let volumeControl;
+    let bridge;
+    let client;
+
+    beforeEach(async () => {
+        receiver = new MockReceiver();
+        await receiver.start();
+
+        const roon = new FakeRoon({
+            settings: {
+                ip_address_1: '127.0.0.1',
+                port_1: String(receiver.port),
+                device_name_1: 'Living Room'
+            }
+        });
+
+        volumeControl = new VolumeControl(roon, new SettingsManager(roon));
+        volumeControl.initialize();
+        await delay(100);
+
+        bridge = new MqttBridge(volumeControl, {
+            url: 'mqtt://broker.local',
+            username: 'roon',
+            password: 'secret'
+        }, (url, options) => {
+            client = new FakeMqttClient(url, options);
+            return client;
+        });
+        bridge.start();
+        client.connect();
+    });
+
+    afterEach(async () => {
+        bridge.stop();
+        volumeControl.destroy();
+        await receiver.stop();
+    });
+
+    it('connects with credentials and a last will', () => {
+        assert.strictEqual(client.url, 'mqtt://broker.local');
+        assert.strictEqual(client.options.username, 'roon');
+        assert.strictEqual(client.options.password, 'secret');
+        assert.deepStrictEqual(client.options.will, {
+            topic: 'roon-marantz/status', payload: 'offline', retain: true
+        });
+        assert.strictEqual(client.retained['roon-marantz/status'], 'online');
+    });
+
+    it('publishes retained receiver state', () => {
+        assert.strictEqual(client.retained['roon-marantz/living_room/volume'], '40');
+        assert.strictEqual(client.retained['roon-marantz/living_room/mute'], 'OFF');
+        assert.strictEqual(client.retained['roon-marantz/living_room/power'], 'ON');
+        assert.strictEqual(client.retained['roon-marantz/living_room/state'], 'online');
+    });
+
+    it('publishes state changes from the receiver', async () => {
+        receiver.setFrontPanelVolume(33);
+        receiver.setFrontPanelMute(true);
+        await volumeControl.clients.get('receiver_1').getStatus();
+
+        assert.strictEqual(client.retained['roon-marantz/living_room/volume'], '33');
+        assert.strictEqual(client.retained['roon-marantz/living_room/mute'], 'ON');
+    });
+
+    it('publishes Home Assistant discovery configs', () => {
+        const config = JSON.parse(client.retained['homeassistant/number/roon_marantz_receiver_1/volume/config']);
+
+        assert.strictEqual(config.unique_id, 'roon_marantz_receiver_1_volume');
+        assert.strictEqual(config.command_topic, 'roon-marantz/living_room/volume/set');
+        assert.strictEqual(config.availability_topic, 'roon-marantz/status');
+        assert.strictEqual(config.max, 98);
+        assert.strictEqual(config.device.name, 'Living Room');
+
+        assert.ok(client.retained['homeassistant/switch/roon_marantz_receiver_1/mute/config']);
+        assert.ok(client.retained['homeassistant/switch/roon_marantz_receiver_1/power/config']);
+        assert.ok(client.retained['homeassistant/sensor/roon_marantz_receiver_1/state/config']);
+    });
+
+    it('routes commands through VolumeControl', async () => {
+        assert.ok(client.subscriptions.includes('roon-marantz/+/+/set'));
+
+        client.receive('roon-marantz/living_room/volume/set', '52');
+        await delay(300);
+        assert.strictEqual(client.retained['roon-marantz/living_room/volume'], '52');
+
+        client.receive('roon-marantz/living_room/volume/up', '');
+        await delay(300);
+        client.receive('roon-marantz/living_room/mute/set', 'ON');
+        await delay(50);
+
+        assert.deepStrictEqual(receiver.commands, ['MV52', 'MVUP', 'MUON']);
+    });
+
+    it('ignores invalid commands and unknown receivers', async () => {
+        client.receive('roon-marantz/living_room/volume/set', 'loud');
+        client.receive('roon-marantz/kitchen/volume/set', '20');
+        await delay(300);
+
+        assert.deepStrictEqual(receiver.commands, []);
+    });
+
+    it('marks the bridge offline when stopped', () => {
+        const stopped = client;
+        bridge.stop();
+
+        assert.strictEqual(stopped.retained['roon-marantz/status'], 'offline');
+        assert.ok(stopped.ended);
+    });
+});
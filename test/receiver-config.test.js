@@ -0,0 +1,178 @@
+"use strict";
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const ReceiverConfig = require('../receiver-config');
+const SettingsManager = require('../settings');
+const { FakeRoon } = require('./helpers/fake-roon');
+
+describe('ReceiverConfig', () => {
+    it('reads receivers from config.json', () => {
+        const config = new ReceiverConfig({
+            receivers: [
+                { id: 'living', ip_address: '192.168.1.20', port: 80, zones: ['main', 'zone2'] }
+            ]
+        }, {});
+
+        assert.deepStrictEqual(config.receivers, [{
+            id: 'living',
+            source: 'config.json',
+            fields: { ip_address: '192.168.1.20', port: '80', zones: 'main,zone2' }
+        }]);
+        assert.deepStrictEqual(config.problems, []);
+        assert.strictEqual(config.locked, false);
+    });
+
+    it('reads receivers from MARANTZ_RECEIVERS', () => {
+        const config = new ReceiverConfig({}, {
+            MARANTZ_RECEIVERS: 'living=192.168.1.20:8080, office=receiver.local'
+        });
+
+        assert.deepStrictEqual(config.receivers, [
+            { id: 'living', source: 'environment', fields: { ip_address: '192.168.1.20', port: '8080' } },
+            { id: 'office', source: 'environment', fields: { ip_address: 'receiver.local' } }
+        ]);
+    });
+
+    it('lets the environment override config.json per receiver', () => {
+        const config = new ReceiverConfig({
+            receivers: [{ id: 'living', ip_address: '192.168.1.20', device_name: 'Living Room' }],
+            lock_receivers: true
+        }, {
+            MARANTZ_RECEIVERS: 'living=192.168.1.30',
+            MARANTZ_LOCK_RECEIVERS: 'no'
+        });
+
+        assert.deepStrictEqual(config.find('living'), {
+            id: 'living',
+            source: 'environment',
+            fields: { ip_address: '192.168.1.30', device_name: 'Living Room' }
+        });
+        assert.strictEqual(config.locked, false);
+    });
+
+    it('reports declarations it cannot use', () => {
+        const config = new ReceiverConfig({
+            receivers: [
+                { ip_address: '192.168.1.20' },
+                { id: 'den', ip_address: '192.168.1.21', volume: 40 }
+            ]
+        }, {
+            MARANTZ_RECEIVERS: '192.168.1.22 office=receiver.local:port'
+        });
+
+        assert.deepStrictEqual(config.receivers.map((receiver) => receiver.id), ['den']);
+        assert.deepStrictEqual(config.problems, [
+            'config.json: receiver 1 needs an "id" of letters, digits, "-" or "_"',
+            'config.json: unknown setting "volume" for receiver den',
+            'MARANTZ_RECEIVERS: expected "id=host" or "id=host:port", got "192.168.1.22"',
+            'MARANTZ_RECEIVERS: expected "id=host" or "id=host:port", got "office=receiver.local:port"'
+        ]);
+    });
+});
+
+describe('SettingsManager with declared receivers', () => {
+    function makeManager(persisted, config, env = {}) {
+        const roon = new FakeRoon(persisted ? { settings: persisted } : {});
+        return { roon, manager: new SettingsManager(roon, null, new ReceiverConfig(config, env)) };
+    }
+
+    it('uses declared receivers on a fresh install', () => {
+        const { manager } = makeManager(null, {}, { MARANTZ_RECEIVERS: 'living=192.168.1.20:80' });
+        const receivers = manager.getReceivers();
+
+        assert.strictEqual(receivers.length, 1);
+        assert.strictEqual(receivers[0].id, 'living');
+        assert.strictEqual(receivers[0].ip_address, '192.168.1.20');
+        assert.strictEqual(receivers[0].port, '80');
+        assert.strictEqual(receivers[0].default_name, true);
+    });
+
+    it('keeps Roon edits to fields that are not declared', () => {
+        const { roon, manager } = makeManager({
+            receivers: [
+                { id: '1', ip_address: '192.168.1.10' },
+                { id: 'living', ip_address: '10.0.0.1', device_name: 'Lounge', max_volume: '70' }
+            ],
+            next_receiver_id: 2
+        }, {
+            receivers: [{ id: 'living', ip_address: '192.168.1.20' }]
+        });
+
+        const receivers = manager.getReceivers();
+        assert.deepStrictEqual(receivers.map((r) => [r.id, r.ip_address, r.device_name]), [
+            ['1', '192.168.1.10', 'Denon/Marantz Receiver 1'],
+            ['living', '192.168.1.20', 'Lounge']
+        ]);
+        assert.strictEqual(receivers[1].max_volume, 70);
+
+        // Declared fields are not saved, and can't be changed or removed from Roon
+        const settings = manager.applyValues(manager.get(), {
+            ip_address_living: '10.0.0.2',
+            device_name_living: 'Living Room',
+            receiver_action: 'remove:living'
+        });
+        manager.save(settings);
+
+        const saved = roon.config.settings.receivers.find((r) => r.id === 'living');
+        assert.strictEqual(saved.ip_address, undefined);
+        assert.strictEqual(saved.device_name, 'Living Room');
+        assert.strictEqual(manager.getReceivers()[1].ip_address, '192.168.1.20');
+    });
+
+    it('shows declared fields as text and offers no removal', () => {
+        const { manager } = makeManager(null, {
+            receivers: [{ id: 'living', ip_address: '192.168.1.20', transport: 'heos' }]
+        });
+        const layout = manager.makeLayout(manager.get());
+        const titles = layout.layout.filter((item) => item.type === 'label').map((item) => item.title);
+
+        assert.ok(titles.includes('IP Address: 192.168.1.20'));
+        assert.ok(titles.includes('Connection: HEOS CLI'));
+        assert.ok(layout.layout.some((item) => item.setting === 'device_name_living'));
+
+        const actions = layout.layout.find((item) => item.setting === 'receiver_action').values;
+        assert.deepStrictEqual(actions.map((action) => action.value), ['', 'add']);
+    });
+
+    it('locks declared receivers entirely', () => {
+        const { roon, manager } = makeManager({
+            receivers: [{ id: 'living', device_name: 'Lounge' }],
+            next_receiver_id: 1
+        }, {
+            receivers: [{ id: 'living', ip_address: '192.168.1.20' }],
+            lock_receivers: true
+        });
+
+        assert.strictEqual(manager.getReceivers()[0].device_name, 'Denon/Marantz Receiver living');
+
+        const layout = manager.makeLayout(manager.get());
+        assert.ok(!layout.layout.some((item) => item.setting && item.setting.endsWith('_living')));
+
+        manager.save(manager.get());
+        assert.deepStrictEqual(roon.config.settings.receivers, []);
+    });
+
+    it('validates addresses and ports of all receivers', () => {
+        const { manager } = makeManager({
+            receivers: [{ id: '1', ip_address: '192.168.1.300', port: '8080' }],
+            next_receiver_id: 2
+        }, {}, { MARANTZ_RECEIVERS: 'living=receiver.local:70000' });
+
+        assert.deepStrictEqual(manager.validateReceivers(), [
+            {
+                id: '1',
+                source: 'Roon settings',
+                address: '192.168.1.300:8080',
+                errors: ['invalid IP address or hostname "192.168.1.300"']
+            },
+            {
+                id: 'living',
+                source: 'environment',
+                address: 'receiver.local:70000',
+                errors: ['invalid port "70000"']
+            }
+        ]);
+    });
+});
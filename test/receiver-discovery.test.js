@@ -0,0 +1,69 @@
+"use strict";
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const ReceiverDiscovery = require('../receiver-discovery');
+
+/**
+ * UPnP device description as served at an SSDP location
+ */
+function description(udn, deviceType) {
+    return '<?xml version="1.0"?><root><device>' +
+        `<deviceType>${deviceType}</deviceType>` +
+        '<friendlyName>Living Room</friendlyName>' +
+        '<manufacturer>Marantz</manufacturer>' +
+        '<modelName>SR7013</modelName>' +
+        `<UDN>uuid:${udn}</UDN>` +
+        '</device></root>';
+}
+
+describe('ReceiverDiscovery', () => {
+    // One receiver answering with three root devices
+    const documents = {
+        '/aios.xml': description('b-aios', 'urn:schemas-denon-com:device:AiosDevice:1'),
+        '/renderer.xml': description('c-renderer', 'urn:schemas-upnp-org:device:MediaRenderer:1'),
+        '/act.xml': description('a-act', 'urn:schemas-denon-com:device:ACT-Denon:1')
+    };
+    const server = http.createServer((req, res) => {
+        res.writeHead(documents[req.url] ? 200 : 404, { 'Content-Type': 'text/xml' });
+        res.end(documents[req.url] || '');
+    });
+    let baseUrl;
+
+    before(() => new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve();
+        });
+    }));
+
+    after(() => new Promise((resolve) => server.close(() => resolve())));
+
+    /**
+     * Run a search in which SSDP replies arrive in the given order
+     */
+    function search(paths) {
+        const discovery = new ReceiverDiscovery();
+        discovery.collectLocations = async () => new Set(paths.map((p) => `${baseUrl}${p}`));
+        return discovery.runSearch(0);
+    }
+
+    it('keeps the media renderer UDN whatever order replies arrive in', async () => {
+        const first = await search(['/aios.xml', '/act.xml', '/renderer.xml']);
+        const second = await search(['/renderer.xml', '/aios.xml', '/act.xml']);
+
+        assert.strictEqual(first.length, 1);
+        assert.strictEqual(first[0].udn, 'c-renderer');
+        assert.deepStrictEqual(second, first);
+    });
+
+    it('falls back to the lowest UDN without a media renderer', async () => {
+        const first = await search(['/aios.xml', '/act.xml']);
+        const second = await search(['/act.xml', '/aios.xml']);
+
+        assert.deepStrictEqual(first.map((device) => device.udn), ['a-act']);
+        assert.deepStrictEqual(second, first);
+    });
+});
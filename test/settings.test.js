@@ -0,0 +1,353 @@
+"use strict";
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const SettingsManager = require('../settings');
+const { FakeRoon, makeRequest } = require('./helpers/fake-roon');
+
+describe('SettingsManager', () => {
+    it('migrates the old single-receiver format', () => {
+        const roon = new FakeRoon({
+            settings: {
+                ip_address: '192.168.1.20',
+                port: '80',
+                device_name: 'Den'
+            }
+        });
+        const settings = new SettingsManager(roon).get();
+
+        assert.strictEqual(settings.receivers.length, 1);
+        assert.strictEqual(settings.receivers[0].id, '1');
+        assert.strictEqual(settings.receivers[0].ip_address, '192.168.1.20');
+        assert.strictEqual(settings.receivers[0].port, '80');
+        assert.strictEqual(settings.receivers[0].device_name, 'Den');
+        assert.strictEqual(settings.next_receiver_id, 2);
+        assert.strictEqual(settings.ip_address, undefined);
+        assert.strictEqual(settings.port, undefined);
+        assert.strictEqual(settings.device_name, undefined);
+
+        // The migrated settings are persisted
+        assert.strictEqual(roon.config.settings.receivers[0].ip_address, '192.168.1.20');
+        assert.strictEqual(roon.config.settings.ip_address, undefined);
+    });
+
+    it('fills in defaults when migrating without port or name', () => {
+        const roon = new FakeRoon({ settings: { ip_address: 'receiver.local' } });
+        const settings = new SettingsManager(roon).get();
+
+        assert.strictEqual(settings.receivers[0].port, '8080');
+        assert.strictEqual(settings.receivers[0].device_name, 'Denon/Marantz Receiver');
+    });
+
+    it('migrates numbered receiver slots, keeping their numbers as IDs', () => {
+        const roon = new FakeRoon({
+            settings: {
+                ip_address: 'old',
+                receiver_count: '2',
+                ip_address_1: '192.168.1.20',
+                ip_address_2: '192.168.1.21',
+                zones_2: 'main,zone2',
+                group_with_2: '1',
+                ip_address_3: 'left over'
+            }
+        });
+        const settings = new SettingsManager(roon).get();
+
+        assert.deepStrictEqual(settings.receivers.map((r) => [r.id, r.ip_address]), [
+            ['1', '192.168.1.20'],
+            ['2', '192.168.1.21']
+        ]);
+        assert.strictEqual(settings.receivers[1].zones, 'main,zone2');
+        assert.strictEqual(settings.receivers[1].group_with, '1');
+        assert.strictEqual(settings.next_receiver_id, 3);
+        assert.deepStrictEqual(Object.keys(roon.config.settings).sort(), ['next_receiver_id', 'receivers']);
+    });
+
+    it('drops blank numbered slots when migrating', async () => {
+        const roon = new FakeRoon({
+            settings: {
+                receiver_count: '3',
+                ip_address_1: '192.168.1.20',
+                ip_address_2: '192.168.1.21',
+                ip_address_3: ''
+            }
+        });
+        const manager = new SettingsManager(roon);
+        manager.settings = { update_settings: () => {} };
+
+        assert.deepStrictEqual(manager.get().receivers.map((r) => r.id), ['1', '2']);
+
+        // Saving is not blocked by an address the user never entered
+        const req = makeRequest();
+        await manager.saveSettings(req, false, { values: { device_name_2: 'Den' } });
+
+        assert.strictEqual(req.completed.status, 'Success');
+        assert.strictEqual(roon.config.settings.receivers[1].device_name, 'Den');
+    });
+
+    it('starts with one empty receiver and does not save it', () => {
+        const roon = new FakeRoon();
+        const settings = new SettingsManager(roon).get();
+
+        assert.deepStrictEqual(settings.receivers.map((r) => r.id), ['1']);
+        assert.strictEqual(roon.config.settings, undefined);
+    });
+
+    it('adds receivers with new IDs and never reuses removed ones', () => {
+        const roon = new FakeRoon({
+            settings: {
+                receivers: [
+                    { id: '1', ip_address: '192.168.1.20' },
+                    { id: '2', ip_address: '192.168.1.21', group_with: '1' }
+                ],
+                next_receiver_id: 3
+            }
+        });
+        const manager = new SettingsManager(roon);
+
+        let settings = manager.applyValues(manager.get(), { receiver_action: 'add' });
+        assert.deepStrictEqual(settings.receivers.map((r) => r.id), ['1', '2', '3']);
+        assert.strictEqual(settings.receivers[2].port, '8080');
+        assert.strictEqual(settings.next_receiver_id, 4);
+
+        settings = manager.applyValues(settings, { receiver_action: 'remove:3' });
+        settings = manager.applyValues(settings, { receiver_action: 'remove:1' });
+        assert.deepStrictEqual(settings.receivers.map((r) => r.id), ['2']);
+        assert.strictEqual(settings.receivers[0].group_with, '');
+
+        settings = manager.applyValues(settings, { receiver_action: 'add' });
+        assert.deepStrictEqual(settings.receivers.map((r) => r.id), ['2', '4']);
+    });
+
+    it('applies edited fields by receiver ID', () => {
+        const roon = new FakeRoon({
+            settings: {
+                receivers: [{ id: '4', ip_address: '192.168.1.20' }, { id: '7', ip_address: '192.168.1.21' }],
+                next_receiver_id: 8
+            }
+        });
+        const manager = new SettingsManager(roon);
+
+        // The UI lists the receivers it shows; one added in a dry run is kept
+        const settings = manager.applyValues(manager.get(), {
+            receiver_ids: '7,8',
+            ip_address_7: ' 192.168.1.30 ',
+            device_name_7: 'Office',
+            zones_7: 'main,zone2',
+            roon_input_7: 'net',
+            sound_mode_7: 'PURE DIRECT',
+            ip_address_8: '192.168.1.40'
+        });
+
+        assert.deepStrictEqual(settings.receivers.map((r) => [r.id, r.ip_address]), [
+            ['7', '192.168.1.30'],
+            ['8', '192.168.1.40']
+        ]);
+        assert.strictEqual(settings.receivers[0].device_name, 'Office');
+        assert.strictEqual(settings.receivers[0].zones, 'main,zone2');
+        assert.strictEqual(settings.receivers[0].roon_input, 'NET');
+        assert.strictEqual(settings.receivers[0].sound_mode, 'PURE DIRECT');
+        assert.strictEqual(settings.receivers[1].sound_mode, '');
+        assert.strictEqual(settings.next_receiver_id, 9);
+    });
+
+    it('returns configured receivers with defaults', () => {
+        const roon = new FakeRoon({
+            settings: {
+                receiver_count: '3',
+                ip_address_1: '192.168.1.20',
+                ip_address_2: '',
+                ip_address_3: '192.168.1.22',
+                port_3: '80',
+                transport_3: 'heos',
+                device_name_3: 'Office',
+                zones_3: 'main,zone2',
+                max_volume_3: '120',
+                safe_volume_3: '35.5',
+                ramp_rate_3: '12',
+                poll_interval_3: '0.2',
+                standby_interval_3: 'slow',
+                mute_fade_3: '-1'
+            }
+        });
+        const receivers = new SettingsManager(roon).getReceivers();
+
+        assert.strictEqual(receivers.length, 2);
+
+        assert.strictEqual(receivers[0].id, '1');
+        assert.strictEqual(receivers[0].port, '8080');
+        assert.strictEqual(receivers[0].transport, 'auto');
+        assert.strictEqual(receivers[0].device_name, 'Denon/Marantz Receiver 1');
+        assert.strictEqual(receivers[0].default_name, true);
+        assert.deepStrictEqual(receivers[0].zones, ['main']);
+        assert.strictEqual(receivers[0].max_volume, 98);
+        assert.strictEqual(receivers[0].safe_volume, null);
+        assert.strictEqual(receivers[0].ramp_rate, null);
+        assert.strictEqual(receivers[0].mute_fade, null);
+        assert.strictEqual(receivers[0].poll_interval, 5);
+        assert.strictEqual(receivers[0].standby_interval, 30);
+
+        assert.strictEqual(receivers[1].id, '3');
+        assert.strictEqual(receivers[1].port, '80');
+        assert.strictEqual(receivers[1].transport, 'heos');
+        assert.strictEqual(receivers[1].device_name, 'Office');
+        assert.strictEqual(receivers[1].default_name, false);
+        assert.deepStrictEqual(receivers[1].zones, ['main', 'zone2']);
+        assert.strictEqual(receivers[1].max_volume, 98);
+        assert.strictEqual(receivers[1].safe_volume, 35.5);
+        assert.strictEqual(receivers[1].ramp_rate, 12);
+        assert.strictEqual(receivers[1].mute_fade, null);
+        assert.strictEqual(receivers[1].poll_interval, 1);
+        assert.strictEqual(receivers[1].standby_interval, 30);
+    });
+
+    it('parses volume curve settings', () => {
+        const roon = new FakeRoon({
+            settings: {
+                receiver_count: '2',
+                ip_address_1: '192.168.1.20',
+                volume_curve_1: 'custom',
+                volume_curve_points_1: '0:0, 50:30, 98:70',
+                ip_address_2: '192.168.1.21'
+            }
+        });
+        const receivers = new SettingsManager(roon).getReceivers();
+
+        assert.strictEqual(receivers[0].volume_curve, 'custom');
+        assert.deepStrictEqual(receivers[0].volume_curve_points, [[0, 0], [50, 30], [98, 70]]);
+        assert.strictEqual(receivers[1].volume_curve, 'linear');
+        assert.strictEqual(receivers[1].volume_curve_points, null);
+    });
+
+    it('parses group settings', () => {
+        const roon = new FakeRoon({
+            settings: {
+                receiver_count: '2',
+                ip_address_1: '192.168.1.20',
+                ip_address_2: '192.168.1.21',
+                group_with_2: '1',
+                group_offset_2: '-3.5'
+            }
+        });
+        const manager = new SettingsManager(roon);
+        const receivers = manager.getReceivers();
+
+        assert.strictEqual(receivers[0].group_with, null);
+        assert.strictEqual(receivers[0].group_offset, 0);
+        assert.strictEqual(receivers[1].group_with, '1');
+        assert.strictEqual(receivers[1].group_offset, -3.5);
+
+        // The offset is only offered once a receiver is grouped
+        const settingKeys = manager.makeLayout(manager.get()).layout.map((item) => item.setting);
+        assert.ok(settingKeys.includes('group_with_1'));
+        assert.ok(!settingKeys.includes('group_offset_1'));
+        assert.ok(settingKeys.includes('group_offset_2'));
+    });
+
+    it('lays out fields for each receiver', () => {
+        const roon = new FakeRoon({
+            settings: { receivers: [{ id: '2' }, { id: '5' }], next_receiver_id: 6 }
+        });
+        const manager = new SettingsManager(roon);
+        const layout = manager.makeLayout(manager.get());
+
+        const settingKeys = layout.layout.map((item) => item.setting).filter((key) => key);
+        assert.ok(settingKeys.includes('receiver_action'));
+        assert.ok(settingKeys.includes('ip_address_2'));
+        assert.ok(settingKeys.includes('ip_address_5'));
+        assert.ok(!settingKeys.includes('ip_address_1'));
+        assert.strictEqual(layout.values.receiver_ids, '2,5');
+        assert.strictEqual(layout.values.port_5, '8080');
+        assert.strictEqual(layout.values.device_name_5, 'Denon/Marantz Receiver 2');
+
+        const actions = layout.layout.find((item) => item.setting === 'receiver_action').values;
+        assert.deepStrictEqual(actions.map((action) => action.value), ['', 'add', 'remove:2', 'remove:5']);
+    });
+
+    it('validates IP addresses and hostnames', () => {
+        const manager = new SettingsManager(new FakeRoon());
+
+        assert.strictEqual(manager.validateIpAddress('192.168.1.20'), true);
+        assert.strictEqual(manager.validateIpAddress('receiver.local'), true);
+        assert.strictEqual(manager.validateIpAddress('192.168.1.256'), false);
+        assert.strictEqual(manager.validateIpAddress('192.168.1'), false);
+        assert.strictEqual(manager.validateIpAddress('-bad-.local'), false);
+        assert.strictEqual(manager.validateIpAddress(''), false);
+    });
+});
+
+describe('SettingsManager validation', () => {
+    function makeManager(receivers) {
+        const roon = new FakeRoon({ settings: { receivers: receivers, next_receiver_id: 10 } });
+        return new SettingsManager(roon);
+    }
+
+    it('checks addresses, ports and duplicate receivers', () => {
+        const manager = makeManager([
+            { id: '1', ip_address: '192.168.1.20', port: '8080' },
+            { id: '2', ip_address: '192.168.1.300', port: '80' },
+            { id: '3', ip_address: '192.168.1.20', port: '80' },
+            { id: '4', ip_address: 'receiver.local', port: '70000' },
+            { id: '5', ip_address: '', port: '8080' }
+        ]);
+
+        assert.deepStrictEqual(manager.validateSettings(manager.get()), {
+            ip_address_2: 'Not a valid IP address (e.g. 192.168.1.100) or hostname.',
+            ip_address_3: 'Same receiver as Receiver 1; use its Zones setting for more zones.',
+            port_4: 'Port must be a number from 1 to 65535, usually 8080 or 80.',
+            ip_address_5: 'Enter the receiver\'s IP address or hostname.'
+        });
+    });
+
+    it('shows errors on their fields', () => {
+        const manager = makeManager([{ id: '1', ip_address: 'bad address', port: '8080' }]);
+        const settings = manager.get();
+        const layout = manager.makeLayout(settings, manager.validateSettings(settings));
+
+        assert.strictEqual(layout.has_error, true);
+        assert.strictEqual(layout.layout.find((item) => item.setting === 'ip_address_1').error,
+            'Not a valid IP address (e.g. 192.168.1.100) or hostname.');
+        assert.strictEqual(layout.layout.find((item) => item.setting === 'port_1').error, undefined);
+    });
+
+    it('probes only receivers whose connection changed', async () => {
+        const manager = makeManager([
+            { id: '1', ip_address: '192.168.1.20', port: '8080' },
+            { id: '2', ip_address: '192.168.1.21', port: '8080' }
+        ]);
+        const probed = [];
+        manager.probeReceiver = async (host, port) => {
+            probed.push(`${host}:${port}`);
+            return { result: 'ok', capabilities: null };
+        };
+
+        const oldSettings = manager.get();
+        const newSettings = manager.applyValues(oldSettings, { ip_address_2: '192.168.1.22' });
+
+        assert.deepStrictEqual(await manager.checkConnections(oldSettings, newSettings, {}), {});
+        assert.deepStrictEqual(probed, ['192.168.1.22:8080']);
+    });
+
+    it('suggests the other port when only that one answers', async () => {
+        const manager = makeManager([]);
+        manager.probeReceiver = async (host, port) => ({ result: port === '80' ? 'ok' : 'unreachable' });
+
+        const errors = await manager.checkConnection({ id: '1', ip_address: '192.168.1.20', port: '8080', transport: 'auto' });
+
+        assert.deepStrictEqual(errors, {
+            port_1: 'No response on port 8080, but port 80 answered. Switch to 80?'
+        });
+    });
+
+    it('reports devices that are not receivers', async () => {
+        const manager = makeManager([]);
+        manager.probeReceiver = async () => ({ result: 'not_receiver' });
+
+        const errors = await manager.checkConnection({ id: '1', ip_address: '192.168.1.20', port: '80', transport: 'auto' });
+
+        assert.deepStrictEqual(errors, {
+            ip_address_1: '192.168.1.20 answered on port 80, but it is not a Denon/Marantz receiver.'
+        });
+    });
+});
@@ -0,0 +1,531 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const SettingsManager = require('../settings');
+const VolumeControl = require('../volume-control');
+const MockReceiver = require('./helpers/mock-receiver');
+const { FakeRoon, makeRequest, delay } = require('./helpers/fake-roon');
+
+// Long enough for queued commands to reach the mock receiver
+const COMMAND_WAIT = 100;
+
+describe('VolumeControl', () => {
+    let receiver;
+    let roon;
+    let volumeControl;
+
+    /**
+     * Initialize VolumeControl for one receiver pointing at the mock
+     */
+    async function setup(extraSettings = {}) {
+        roon = new FakeRoon({
+            settings: {
+                ip_address_1: '127.0.0.1',
+                port_1: String(receiver.port),
+                device_name_1: 'Living Room',
+                ...extraSettings
+            }
+        });
+
+        volumeControl = new VolumeControl(roon, new SettingsManager(roon));
+        volumeControl.initialize();
+
+        // Let the initial status and device info requests complete
+        await delay(100);
+
+        return roon.services.RoonApiVolumeControl.activeDevices[0];
+    }
+
+    beforeEach(async () => {
+        receiver = new MockReceiver();
+        await receiver.start();
+    });
+
+    afterEach(async () => {
+        if (volumeControl) {
+            volumeControl.destroy();
+            volumeControl = null;
+        }
+        await receiver.stop();
+    });
+
+    it('registers a volume control with the current receiver state', async () => {
+        const device = await setup();
+
+        assert.strictEqual(device.state.display_name, 'Living Room');
+        assert.strictEqual(device.state.control_key, 'receiver_1');
+        assert.strictEqual(device.state.volume_type, 'number');
+        assert.strictEqual(device.state.volume_max, 98);
+        assert.strictEqual(device.state.volume_value, 40);
+    });
+
+    it('sets absolute volume', async () => {
+        const device = await setup();
+
+        device.handlers.set_volume(makeRequest({ mode: 'absolute', value: 55 }));
+        await delay(COMMAND_WAIT);
+
+        assert.deepStrictEqual(receiver.commands, ['MV55']);
+        assert.strictEqual(device.state.volume_value, 55);
+    });
+
+    it('coalesces rapid absolute changes to the last value', async () => {
+        const device = await setup();
+
+        device.handlers.set_volume(makeRequest({ mode: 'absolute', value: 50 }));
+        device.handlers.set_volume(makeRequest({ mode: 'absolute', value: 51 }));
+        device.handlers.set_volume(makeRequest({ mode: 'absolute', value: 52.5 }));
+        await delay(COMMAND_WAIT);
+
+        // The first target is already in flight; 51 is superseded while waiting
+        assert.deepStrictEqual(receiver.commands, ['MV50', 'MV525']);
+        assert.strictEqual(device.state.volume_value, 52.5);
+    });
+
+    it('keeps mute ordered against volume changes', async () => {
+        const device = await setup();
+        receiver.latency = 20;
+
+        device.handlers.set_volume(makeRequest({ mode: 'absolute', value: 50 }));
+        device.handlers.set_mute(makeRequest({ action: 'mute' }));
+        device.handlers.set_volume(makeRequest({ mode: 'absolute', value: 45 }));
+        await delay(COMMAND_WAIT * 2);
+
+        assert.deepStrictEqual(receiver.commands, ['MV50', 'MUON', 'MV45']);
+    });
+
+    it('applies relative changes to the current volume', async () => {
+        const device = await setup();
+
+        device.handlers.set_volume(makeRequest({ mode: 'relative', value: 5 }));
+        await delay(COMMAND_WAIT);
+
+        assert.deepStrictEqual(receiver.commands, ['MV45']);
+        assert.strictEqual(device.state.volume_value, 45);
+    });
+
+    it('steps volume up and down', async () => {
+        const device = await setup();
+
+        device.handlers.set_volume(makeRequest({ mode: 'relative_step', value: 1 }));
+        await delay(COMMAND_WAIT);
+        device.handlers.set_volume(makeRequest({ mode: 'relative_step', value: -1 }));
+        await delay(COMMAND_WAIT);
+
+        assert.deepStrictEqual(receiver.commands, ['MVUP', 'MVDN']);
+    });
+
+    it('accumulates rapid volume steps', async () => {
+        const device = await setup();
+
+        device.handlers.set_volume(makeRequest({ mode: 'relative_step', value: 1 }));
+        device.handlers.set_volume(makeRequest({ mode: 'relative_step', value: 1 }));
+        device.handlers.set_volume(makeRequest({ mode: 'relative_step', value: 1 }));
+        await delay(COMMAND_WAIT);
+
+        assert.deepStrictEqual(receiver.commands, ['MVUP', 'MVUP', 'MVUP']);
+    });
+
+    it('stops rapid volume steps at the maximum volume', async () => {
+        const device = await setup({ max_volume_1: '41' });
+
+        for (let press = 0; press < 8; press++) {
+            device.handlers.set_volume(makeRequest({ mode: 'relative_step', value: 1 }));
+        }
+        await delay(COMMAND_WAIT);
+
+        assert.deepStrictEqual(receiver.commands, ['MVUP', 'MVUP']);
+        assert.strictEqual(receiver.zones.main.volume, 41);
+
+        // Once read back, further presses are still refused
+        await volumeControl.clients.get('receiver_1').getStatus();
+        device.handlers.set_volume(makeRequest({ mode: 'relative_step', value: 1 }));
+        await delay(COMMAND_WAIT);
+        assert.strictEqual(receiver.zones.main.volume, 41);
+    });
+
+    it('clamps requests to the maximum volume', async () => {
+        const device = await setup({ max_volume_1: '60' });
+
+        assert.strictEqual(device.state.volume_max, 60);
+
+        device.handlers.set_volume(makeRequest({ mode: 'absolute', value: 90 }));
+        await delay(COMMAND_WAIT);
+
+        assert.deepStrictEqual(receiver.commands, ['MV60']);
+    });
+
+    it('converts values in dB display mode', async () => {
+        const device = await setup({ volume_display_1: 'db' });
+
+        assert.strictEqual(device.state.volume_type, 'db');
+        assert.strictEqual(device.state.volume_min, -79.5);
+        assert.strictEqual(device.state.volume_max, 18);
+        assert.strictEqual(device.state.volume_value, -40);
+
+        device.handlers.set_volume(makeRequest({ mode: 'absolute', value: -30 }));
+        await delay(COMMAND_WAIT);
+
+        assert.deepStrictEqual(receiver.commands, ['MV50']);
+        assert.strictEqual(device.state.volume_value, -30);
+    });
+
+    it('maps volume through a custom curve', async () => {
+        const device = await setup({
+            volume_curve_1: 'custom',
+            volume_curve_points_1: '0:0, 50:30, 98:70'
+        });
+
+        // The mock starts at 40, i.e. 62 on the slider
+        assert.strictEqual(device.state.volume_value, 62);
+
+        device.handlers.set_volume(makeRequest({ mode: 'absolute', value: 25 }));
+        await delay(COMMAND_WAIT);
+        assert.deepStrictEqual(receiver.commands, ['MV15']);
+        assert.strictEqual(device.state.volume_value, 25);
+
+        // Front-panel changes map back through the inverse curve
+        receiver.setFrontPanelVolume(50);
+        await volumeControl.clients.get('receiver_1').getStatus();
+        assert.strictEqual(device.state.volume_value, 74);
+    });
+
+    it('sets mute', async () => {
+        const device = await setup();
+
+        const muting = device.handlers.set_mute(makeRequest({ action: 'mute' }));
+        assert.strictEqual(device.state.is_muted, true);
+        await muting;
+
+        assert.deepStrictEqual(receiver.commands, ['MUON']);
+    });
+
+    it('rolls back a volume the receiver did not apply', async () => {
+        const device = await setup();
+        const rejected = [];
+        volumeControl.on('commandRejected', (...args) => rejected.push(args));
+
+        receiver.failNext(1, 503);
+        device.handlers.set_volume(makeRequest({ mode: 'absolute', value: 70 }));
+        assert.strictEqual(device.state.volume_value, 70);
+        await delay(COMMAND_WAIT);
+
+        assert.strictEqual(device.state.volume_value, 40);
+        assert.deepStrictEqual(rejected, [['receiver_1', 'volume', 70, 40]]);
+    });
+
+    it('ramps large volume changes', async () => {
+        const device = await setup({ ramp_rate_1: '20' });
+
+        device.handlers.set_volume(makeRequest({ mode: 'absolute', value: 46 }));
+        await delay(400);
+
+        assert.deepStrictEqual(receiver.commands, ['MV42', 'MV44', 'MV46']);
+        assert.strictEqual(device.state.volume_value, 46);
+    });
+
+    it('fades out before muting and back in after unmuting', async () => {
+        const device = await setup({ mute_fade_1: '0.1' });
+
+        await device.handlers.set_mute(makeRequest({ action: 'mute' }));
+        assert.deepStrictEqual(receiver.commands, ['MV00', 'MUON', 'MV40']);
+        assert.strictEqual(device.state.volume_value, 40);
+        assert.strictEqual(device.state.is_muted, true);
+
+        receiver.commands = [];
+        await device.handlers.set_mute(makeRequest({ action: 'unmute' }));
+        assert.deepStrictEqual(receiver.commands, ['MV00', 'MUOFF', 'MV40']);
+        assert.strictEqual(device.state.is_muted, false);
+    });
+
+    it('reflects front-panel changes in Roon', async () => {
+        const device = await setup();
+
+        receiver.setFrontPanelVolume(33);
+        await volumeControl.clients.get('receiver_1').getStatus();
+
+        assert.strictEqual(device.state.volume_value, 33);
+    });
+
+    it('lowers the volume to the safe volume on connect', async () => {
+        receiver.setFrontPanelVolume(70);
+        const device = await setup({ safe_volume_1: '45' });
+
+        assert.deepStrictEqual(receiver.commands, ['MV45']);
+        assert.strictEqual(device.state.volume_value, 45);
+    });
+
+    it('lowers the volume to the safe volume when an unreachable receiver returns', async () => {
+        const device = await setup({ safe_volume_1: '45' });
+        const client = volumeControl.clients.get('receiver_1');
+
+        // Turned up while online: left alone
+        receiver.setFrontPanelVolume(60);
+        await client.getStatus();
+        assert.deepStrictEqual(receiver.commands, []);
+
+        receiver.failNext(2, 503);
+        await client.getStatus();
+        await client.getStatus();
+        assert.strictEqual(client.connectionState, 'unreachable');
+
+        // Back at the same volume
+        await client.getStatus();
+        await delay(50);
+
+        assert.deepStrictEqual(receiver.commands, ['MV45']);
+        assert.strictEqual(device.state.volume_value, 45);
+    });
+
+    it('probes a receiver that was unreachable at startup once it answers', async () => {
+        receiver.maxVolume = 60;
+        receiver.failNext(100, 503);
+        const device = await setup();
+        const client = volumeControl.clients.get('receiver_1');
+
+        assert.strictEqual(client.connectionState, 'unreachable');
+        assert.strictEqual(client.capabilities, null);
+
+        receiver.failures = 0;
+        await client.getStatus();
+        await delay(50);
+
+        assert.strictEqual(client.capabilities.modelName, 'SR7013');
+        assert.strictEqual(device.state.volume_max, 60);
+    });
+
+    it('selects the Roon input and sound mode on the convenience switch', async () => {
+        await setup({ roon_input_1: 'CD', sound_mode_1: 'PURE DIRECT' });
+        const source = roon.services.RoonApiSourceControl.activeDevices[0];
+
+        const req = makeRequest();
+        await source.handlers.convenience_switch(req);
+        assert.strictEqual(req.completed.status, 'Success');
+        assert.deepStrictEqual(receiver.commands, ['SICD', 'MSPURE DIRECT']);
+
+        // Nothing to change the second time
+        await volumeControl.clients.get('receiver_1').getStatus();
+        await source.handlers.convenience_switch(makeRequest());
+        assert.deepStrictEqual(receiver.commands, ['SICD', 'MSPURE DIRECT']);
+        assert.strictEqual(volumeControl.getReceiverSnapshot('receiver_1').sound_mode, 'PURE DIRECT');
+        assert.strictEqual(volumeControl.getReceiverStates()[0].soundMode, 'Pure Direct');
+    });
+});
+
+describe('VolumeControl receiver groups', () => {
+    let leader;
+    let follower;
+    let roon;
+    let volumeControl;
+
+    beforeEach(async () => {
+        leader = new MockReceiver();
+        follower = new MockReceiver();
+        await leader.start();
+        await follower.start();
+        follower.setFrontPanelVolume(30);
+
+        roon = new FakeRoon({
+            settings: {
+                receivers: [
+                    { id: '3', ip_address: '127.0.0.1', port: String(leader.port), device_name: 'Mains' },
+                    {
+                        id: '7', ip_address: '127.0.0.1', port: String(follower.port), device_name: 'Bass',
+                        group_with: '3', group_offset: '-3'
+                    }
+                ],
+                next_receiver_id: 8
+            }
+        });
+
+        volumeControl = new VolumeControl(roon, new SettingsManager(roon));
+        volumeControl.initialize();
+        await delay(COMMAND_WAIT);
+    });
+
+    afterEach(async () => {
+        volumeControl.destroy();
+        await leader.stop();
+        await follower.stop();
+    });
+
+    it('registers one volume control for the group', () => {
+        const devices = roon.services.RoonApiVolumeControl.activeDevices;
+
+        assert.strictEqual(devices.length, 1);
+        assert.strictEqual(devices[0].state.display_name, 'Mains');
+        assert.strictEqual(devices[0].state.control_key, 'receiver_3');
+        assert.strictEqual(volumeControl.getReceiverSnapshot('receiver_7').group_leader, 'receiver_3');
+    });
+
+    it('brings members in line with the leader on connect', () => {
+        assert.deepStrictEqual(leader.commands, []);
+        assert.deepStrictEqual(follower.commands, ['MV37']);
+    });
+
+    it('fans volume and mute out with offsets', async () => {
+        const device = roon.services.RoonApiVolumeControl.activeDevices[0];
+        follower.commands = [];
+
+        device.handlers.set_volume(makeRequest({ mode: 'absolute', value: 50 }));
+        await device.handlers.set_mute(makeRequest({ action: 'mute' }));
+        await delay(COMMAND_WAIT);
+
+        assert.deepStrictEqual(leader.commands, ['MV50', 'MUON']);
+        assert.deepStrictEqual(follower.commands, ['MV47', 'MUON']);
+    });
+
+    it('leaves the leader alone when a follower is held at its maximum', async () => {
+        const device = roon.services.RoonApiVolumeControl.activeDevices[0];
+        const settings = roon.load_config('settings');
+        settings.receivers[1] = { ...settings.receivers[1], group_offset: '10', max_volume: '55' };
+        roon.save_config('settings', settings);
+        volumeControl.updateSettings();
+        await delay(COMMAND_WAIT);
+        leader.commands = [];
+        follower.commands = [];
+
+        device.handlers.set_volume(makeRequest({ mode: 'absolute', value: 50 }));
+        await delay(COMMAND_WAIT);
+
+        assert.deepStrictEqual(leader.commands, ['MV50']);
+        assert.deepStrictEqual(follower.commands, ['MV55']);
+        assert.strictEqual(device.state.volume_value, 50);
+    });
+
+    it('follows a member changed from its front panel', async () => {
+        const device = roon.services.RoonApiVolumeControl.activeDevices[0];
+
+        follower.setFrontPanelVolume(42);
+        await volumeControl.clients.get('receiver_7').getStatus();
+        await delay(COMMAND_WAIT);
+
+        assert.deepStrictEqual(leader.commands, ['MV45']);
+        assert.strictEqual(device.state.volume_value, 45);
+    });
+});
+
+describe('VolumeControl reconcile', () => {
+    let first;
+    let second;
+    let roon;
+    let volumeControl;
+
+    /**
+     * Save new receiver records and apply them as a settings save would
+     */
+    async function saveReceivers(receivers) {
+        roon.save_config('settings', { receivers: receivers, next_receiver_id: 10 });
+        volumeControl.updateSettings();
+        await delay(COMMAND_WAIT);
+    }
+
+    function record(id, mock, extra = {}) {
+        return { id: id, ip_address: '127.0.0.1', port: String(mock.port), device_name: `Receiver ${id}`, ...extra };
+    }
+
+    beforeEach(async () => {
+        first = new MockReceiver();
+        second = new MockReceiver();
+        await first.start();
+        await second.start();
+
+        roon = new FakeRoon({
+            settings: { receivers: [record('1', first), record('2', second)], next_receiver_id: 3 }
+        });
+
+        volumeControl = new VolumeControl(roon, new SettingsManager(roon));
+        volumeControl.initialize();
+        await delay(COMMAND_WAIT);
+    });
+
+    afterEach(async () => {
+        volumeControl.destroy();
+        await first.stop();
+        await second.stop();
+    });
+
+    it('renames a receiver without re-registering anything', async () => {
+        const clients = [...volumeControl.clients.values()];
+        const devices = roon.services.RoonApiVolumeControl.activeDevices;
+
+        await saveReceivers([record('1', first, { device_name: 'Den' }), record('2', second)]);
+
+        assert.deepStrictEqual([...volumeControl.clients.values()], clients);
+        assert.deepStrictEqual(roon.services.RoonApiVolumeControl.activeDevices, devices);
+        assert.strictEqual(devices[0].state.display_name, 'Den');
+        assert.strictEqual(devices[1].state.display_name, 'Receiver 2');
+        assert.strictEqual(roon.services.RoonApiSourceControl.activeDevices[0].state.display_name, 'Den');
+        assert.strictEqual(clients[0].currentVolume, 40);
+    });
+
+    it('moves a client to a new address in place', async () => {
+        const client = volumeControl.clients.get('receiver_2');
+        const moved = new MockReceiver();
+        await moved.start();
+
+        try {
+            await saveReceivers([record('1', first), record('2', moved)]);
+            moved.setFrontPanelVolume(25);
+            await client.getStatus();
+
+            assert.strictEqual(volumeControl.clients.get('receiver_2'), client);
+            assert.strictEqual(client.port, String(moved.port));
+            assert.strictEqual(roon.services.RoonApiVolumeControl.activeDevices[1].state.volume_value, 25);
+        } finally {
+            await moved.stop();
+        }
+    });
+
+    it('forgets what it knew about the old address', async () => {
+        const client = volumeControl.clients.get('receiver_2');
+        const device = roon.services.RoonApiVolumeControl.activeDevices[1];
+        second.maxVolume = 60;
+        await client.getDeviceInfo();
+        assert.strictEqual(device.state.volume_max, 60);
+
+        const moved = new MockReceiver({ modelName: 'AVR-X2000', appCommand: false });
+        await moved.start();
+
+        try {
+            await saveReceivers([record('1', first), record('2', moved)]);
+            const status = await client.getStatus();
+
+            assert.strictEqual(status.volume, 40);
+            assert.strictEqual(client.transport.batchSupported, false);
+            assert.strictEqual(client.connectionState, 'online');
+            assert.strictEqual(client.capabilities.modelName, 'AVR-X2000');
+            assert.strictEqual(device.state.volume_max, 98);
+        } finally {
+            await moved.stop();
+        }
+    });
+
+    it('adds and removes only the receivers that changed', async () => {
+        const kept = volumeControl.clients.get('receiver_2');
+        const removed = roon.services.RoonApiVolumeControl.activeDevices[0];
+
+        await saveReceivers([record('2', second), record('3', first)]);
+
+        assert.deepStrictEqual([...volumeControl.clients.keys()], ['receiver_2', 'receiver_3']);
+        assert.strictEqual(volumeControl.clients.get('receiver_2'), kept);
+        assert.strictEqual(removed.destroyed, true);
+        assert.deepStrictEqual(
+            roon.services.RoonApiVolumeControl.activeDevices.map((device) => device.state.control_key),
+            ['receiver_2', 'receiver_3']
+        );
+    });
+
+    it('rebuilds a receiver whose zones changed', async () => {
+        const untouched = volumeControl.clients.get('receiver_1');
+        const rebuilt = volumeControl.clients.get('receiver_2');
+
+        await saveReceivers([record('1', first), record('2', second, { zones: 'main,zone2' })]);
+
+        assert.strictEqual(volumeControl.clients.get('receiver_1'), untouched);
+        assert.notStrictEqual(volumeControl.clients.get('receiver_2'), rebuilt);
+        assert.deepStrictEqual([...volumeControl.clients.keys()], ['receiver_1', 'receiver_2', 'receiver_2_zone2']);
+    });
+});
@@ -0,0 +1,69 @@
+"use strict";
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const VolumeCurve = require('../volume-curve');
+
+describe('VolumeCurve', () => {
+    it('passes values through on a linear curve', () => {
+        const curve = new VolumeCurve('linear');
+
+        assert.strictEqual(curve.toReceiver(52.5, 0, 98), 52.5);
+        assert.strictEqual(curve.fromReceiver(52.5, 0, 98), 52.5);
+    });
+
+    it('gives the logarithmic curve more travel at low volumes', () => {
+        const curve = new VolumeCurve('logarithmic');
+
+        assert.strictEqual(curve.toReceiver(0, 0, 98), 0);
+        assert.strictEqual(curve.toReceiver(98, 0, 98), 98);
+        assert.ok(curve.toReceiver(49, 0, 98) < 30);
+        assert.ok(curve.toReceiver(49, 0, 98) > 15);
+    });
+
+    it('round-trips every receiver step', () => {
+        const curves = [
+            [new VolumeCurve('logarithmic'), 0.5, 80],
+            [new VolumeCurve('custom', [[0, 0], [20, 40], [60, 55], [98, 70]]), 0, 70]
+        ];
+
+        curves.forEach(([curve, min, max]) => {
+            for (let volume = min; volume <= max; volume += 0.5) {
+                const value = curve.fromReceiver(volume, min, max);
+                assert.strictEqual(curve.toReceiver(value, min, max), volume, `${curve.type} ${volume}`);
+            }
+        });
+    });
+
+    it('interpolates between custom breakpoints', () => {
+        const curve = new VolumeCurve('custom', [[0, 0], [50, 30], [98, 70]]);
+
+        assert.strictEqual(curve.toReceiver(25, 0, 98), 15);
+        assert.strictEqual(curve.toReceiver(74, 0, 98), 50);
+        assert.strictEqual(curve.fromReceiver(30, 0, 98), 50);
+
+        // Held at the ends of the table
+        assert.strictEqual(curve.fromReceiver(80, 0, 98), 98);
+    });
+
+    it('parses breakpoint tables', () => {
+        assert.deepStrictEqual(VolumeCurve.parsePoints('0:0, 50:35.5, 98:70'), [[0, 0], [50, 35.5], [98, 70]]);
+        assert.deepStrictEqual(VolumeCurve.parsePoints('10:5 90:60'), [[10, 5], [90, 60]]);
+
+        assert.strictEqual(VolumeCurve.parsePoints(''), null);
+        assert.strictEqual(VolumeCurve.parsePoints('50:30'), null);
+        assert.strictEqual(VolumeCurve.parsePoints('0:0, 50:30, 40:50'), null);
+        assert.strictEqual(VolumeCurve.parsePoints('0:0, 50:60, 98:50'), null);
+        assert.strictEqual(VolumeCurve.parsePoints('0:0, 120:70'), null);
+        assert.strictEqual(VolumeCurve.parsePoints('0=0, 98=70'), null);
+        assert.strictEqual(VolumeCurve.parsePoints(undefined), null);
+    });
+
+    it('falls back to linear without breakpoints', () => {
+        const curve = new VolumeCurve('custom', null);
+
+        assert.strictEqual(curve.isLinear, true);
+        assert.strictEqual(curve.toReceiver(40, 0, 98), 40);
+    });
+});
@@ -1,25 +1,56 @@
 "use strict";
 
+const EventEmitter = require('events');
 const MarantzClient = require('./marantz-client');
+const VolumeCurve = require('./volume-curve');
 
-class VolumeControl {
+/**
+ * Registers receivers with Roon and routes Roon's requests to them
+ *
+ * Receiver zones are identified by their Roon control key (receiver_1,
+ * receiver_1_zone2), which follows the receiver's stable ID.
+ *
+ * Emits volumeChanged/muteChanged/powerChanged/stateChanged with the
+ * control key whenever the state shown in Roon changes, so other
+ * front ends (e.g. the HTTP API) stay consistent with Roon. Volumes are
+ * on Roon's scale. receiversChanged is emitted after the set of receivers
+ * is rebuilt, and commandRejected(key, field, requested, actual) when a
+ * receiver did not apply a volume or mute change.
+ */
+class VolumeControl extends EventEmitter {
     constructor(roon, settings) {
+        super();
         this.roon = roon;
         this.settings = settings;
 
-        // Arrays for multiple receivers
-        this.clients = [];
-        this.volumeControls = [];
+        // Receiver zones by control key
+        this.receivers = new Map();
+        this.clients = new Map();
+        this.volumeControls = new Map();
+        this.sourceControls = new Map();
 
         // Volume mapping configuration
         this.volumeConfig = {
             min: 0,       // Minimum volume
             max: 98,      // Maximum volume
+            dbMin: 0.5,   // Minimum volume in dB mode (-79.5 dB; 0 is "---")
             step: 0.5     // Volume step size
         };
 
-        // Debounce timers per receiver (Map: index -> timer)
-        this.volumeDebounceTimers = new Map();
+        // Volume curve per receiver settings object
+        this.volumeCurves = new WeakMap();
+
+        // Group leader of each grouped receiver zone (key -> leader key)
+        this.groupLeaders = new Map();
+
+        // Grouped zones whose first volume/mute reading has been seen ('volume:receiver_3')
+        this.groupReadings = new Set();
+
+        // Receivers still waiting for their first volume reading (safe volume check)
+        this.pendingSafeVolumeChecks = new Set();
+
+        // Time to let a receiver wake up before sending further commands (ms)
+        this.powerOnDelay = 1000;
     }
 
     /**
@@ -36,243 +67,1004 @@ class VolumeControl {
         // Clean up existing clients
         this.destroy();
 
-        // Create client and volume control for each receiver
-        receivers.forEach((receiver, arrayIndex) => {
-            this.initializeReceiver(receiver, arrayIndex);
+        this.groupLeaders = this.resolveGroups(receivers);
+
+        // Create client and volume control for each zone of each receiver
+        receivers.forEach((receiver) => {
+            let primaryClient = null;
+            receiver.zones.forEach((zone) => {
+                const client = this.initializeReceiver(receiver, zone, primaryClient);
+                primaryClient = primaryClient || client;
+            });
         });
 
         console.log(`Initialized ${receivers.length} receiver(s)`);
+        this.emit('receiversChanged');
+    }
+
+    /**
+     * Work out which receiver zones are grouped (Map: control key -> leader key)
+     * A receiver grouped with another follows the same zone of that
+     * receiver; groups of groups are not supported
+     */
+    resolveGroups(receivers) {
+        const leaders = new Map();
+        receivers.forEach((receiver) => {
+            if (!receiver.group_with) {
+                return;
+            }
+
+            const leader = receivers.find((r) => r.id === receiver.group_with);
+            if (!leader || leader === receiver || leader.group_with) {
+                console.error(`${receiver.device_name} cannot be grouped with receiver ${receiver.group_with}, keeping its own volume control`);
+                return;
+            }
+
+            receiver.zones.forEach((zone) => {
+                if (leader.zones.includes(zone)) {
+                    const leaderKey = this.getControlKey(leader, zone);
+                    leaders.set(this.getControlKey(receiver, zone), leaderKey);
+                    leaders.set(leaderKey, leaderKey);
+                }
+            });
+        });
+
+        return leaders;
+    }
+
+    /**
+     * Whether a receiver zone is driven by another zone's volume control
+     */
+    isGroupFollower(key) {
+        const leader = this.groupLeaders.get(key);
+        return leader !== undefined && leader !== key;
     }
 
     /**
-     * Initialize a single receiver
+     * Control keys of all zones grouped with a receiver zone, including itself
      */
-    initializeReceiver(receiver, index) {
-        console.log(`Initializing receiver ${index + 1}: ${receiver.device_name} at ${receiver.ip_address}:${receiver.port}`);
+    getGroupMembers(key) {
+        const leader = this.groupLeaders.get(key);
+        if (leader === undefined) {
+            return [key];
+        }
+
+        const members = [];
+        this.groupLeaders.forEach((l, member) => {
+            if (l === leader) {
+                members.push(member);
+            }
+        });
+        return members;
+    }
+
+    /**
+     * Volume offset of a grouped zone relative to its leader, in dB
+     */
+    getGroupOffset(key) {
+        return this.isGroupFollower(key) ? this.receivers.get(key).group_offset : 0;
+    }
+
+    /**
+     * Bring the other members of a group in line with one member
+     * Runs whenever a member's volume or mute changes, whether from Roon,
+     * the front panel or a status read; members already in line, or not
+     * read yet, are left alone, so changes settle after one round.
+     */
+    syncGroup(key, field) {
+        const members = this.getGroupMembers(key);
+        if (members.length < 2) {
+            return;
+        }
+
+        // A member's first reading follows the group rather than leading it
+        const reading = `${field}:${key}`;
+        if (!this.groupReadings.has(reading)) {
+            this.groupReadings.add(reading);
+            key = this.groupLeaders.get(key);
+        }
+
+        const source = this.clients.get(key);
+        if (!source) {
+            return;
+        }
+
+        members.forEach((member) => {
+            const client = this.clients.get(member);
+            if (member === key || !client) {
+                return;
+            }
+
+            if (field === 'mute') {
+                if (source.currentMute !== null && client.currentMute !== null && client.currentMute !== source.currentMute) {
+                    client.setMute(source.currentMute).catch((error) => {
+                        console.error(`Error syncing mute to ${member}:`, error.message);
+                    });
+                }
+                return;
+            }
+
+            if (source.currentVolume === null || client.currentVolume === null) {
+                return;
+            }
+
+            const groupVolume = source.currentVolume - this.getGroupOffset(key);
+            const target = Math.round(this.clampVolume(member, groupVolume + this.getGroupOffset(member)) * 2) / 2;
+
+            // The source may be held at its own limit: it is in line with the
+            // member if the member's volume would put it where it is
+            const memberGroupVolume = client.currentVolume - this.getGroupOffset(member);
+            const sourceTarget = Math.round(this.clampVolume(key, memberGroupVolume + this.getGroupOffset(key)) * 2) / 2;
+
+            if (client.currentVolume !== target && source.currentVolume !== sourceTarget) {
+                client.setVolume(target).catch((error) => {
+                    console.error(`Error syncing volume to ${member}:`, error.message);
+                });
+            }
+        });
+    }
+
+    /**
+     * Initialize a single receiver zone
+     * Zones after the first share the primary client's telnet connection
+     */
+    initializeReceiver(receiver, zone = 'main', primaryClient = null) {
+        const key = this.getControlKey(receiver, zone);
+        const zoneName = MarantzClient.ZONES[zone].name;
+        const label = this.getZoneDisplayName(receiver, zone);
+        console.log(`Initializing receiver ${receiver.id}: ${label} (${zoneName}) at ${receiver.ip_address}:${receiver.port}`);
 
         // Create client with label for logging
         const client = new MarantzClient(
             receiver.ip_address,
             receiver.port,
-            receiver.device_name
+            label,
+            zone,
+            receiver.transport
         );
 
         // Provide suppression callback to client
         client.shouldSuppressUpdates = () => false;
 
-        // Set up event handlers (capture index via closure)
+        // Set up event handlers (capture key via closure)
         client.on('volumeChanged', (volume) => {
-            this.updateVolumeState(index, volume);
+            this.updateVolumeState(key, volume);
+
+            // First reading after (re)connecting: enforce the safe volume
+            if (this.pendingSafeVolumeChecks.delete(key)) {
+                this.applySafeVolume(key);
+            }
+
+            this.syncGroup(key, 'volume');
+        });
+
+        // A reconnect may bring back an unchanged volume, which emits no
+        // volumeChanged: check on the full status read instead
+        client.on('state', () => {
+            if (this.pendingSafeVolumeChecks.delete(key)) {
+                this.applySafeVolume(key);
+            }
         });
 
         client.on('muteChanged', (mute) => {
-            this.updateMuteState(index, mute);
+            this.updateMuteState(key, mute);
+            this.syncGroup(key, 'mute');
+        });
+
+        client.on('rejected', (field, requested, actual, reason) => {
+            if (field === 'volume') {
+                requested = this.toRoonVolume(receiver, client, requested);
+                actual = actual === null ? null : this.toRoonVolume(receiver, client, actual);
+            }
+            console.error(`${label} did not apply ${field} ${requested}: ${reason}`);
+            this.emit('commandRejected', key, field, requested, actual);
+        });
+
+        client.on('powerChanged', (power, previous) => {
+            this.updateSourceState(key);
+            this.emit('powerChanged', key, power);
+
+            // Receiver just woke up from standby: enforce the safe volume
+            if (power === 'ON' && previous) {
+                this.applySafeVolume(key);
+            }
+        });
+
+        client.on('inputChanged', () => {
+            this.updateSourceState(key);
+        });
+
+        client.on('soundModeChanged', (mode) => {
+            this.emit('soundModeChanged', key, mode);
+        });
+
+        client.on('stateChanged', (state, previous) => {
+            const reconnected = previous === 'unreachable' && state !== 'unreachable';
+
+            // Probed at startup while unreachable: probe once it answers
+            if (reconnected && !client.capabilities) {
+                client.getDeviceInfo();
+            }
+
+            // Back from unreachable: enforce the safe volume again. Telnet
+            // reconnects before its answers arrive, so read the status
+            if (reconnected && this.receivers.get(key).safe_volume !== null) {
+                this.pendingSafeVolumeChecks.add(key);
+                if (!client.polling) {
+                    client.getStatus();
+                }
+            }
+
+            this.emit('stateChanged', key, state);
+        });
+
+        client.on('capabilities', () => {
+            this.applyCapabilities(key, zone);
         });
 
         client.on('error', (error) => {
-            console.error(`Receiver ${index + 1} (${receiver.device_name}) error:`, error.message);
+            console.error(`${label} error:`, error.message);
         });
 
-        // Store client
-        this.clients[index] = client;
+        // Store client and its receiver settings
+        this.clients.set(key, client);
+        this.receivers.set(key, receiver);
 
-        // Register volume control with Roon
-        this.registerVolumeControl(receiver, index, client);
+        if (receiver.safe_volume !== null) {
+            this.pendingSafeVolumeChecks.add(key);
+        }
+
+        // Register volume control with Roon; grouped zones share their leader's
+        if (this.isGroupFollower(key)) {
+            console.log(`${label} follows the volume of ${this.groupLeaders.get(key)}`);
+        } else {
+            this.registerVolumeControl(receiver, key, client, zone);
+        }
 
-        // Initial status check
-        client.getStatus();
+        // Register source control (power on/standby) with Roon
+        this.registerSourceControl(receiver, key, client, zone);
+
+        // Probe model, zones, volume limit and inputs
+        client.getDeviceInfo();
+
+        // Catch external volume changes: telnet push when selected,
+        // otherwise poll at the receiver's refresh interval (starting now)
+        client.standbyIntervalSeconds = receiver.standby_interval;
+        if (receiver.update_method === 'telnet') {
+            // Initial status check; telnet only reports volume, mute, power and input
+            client.getStatus();
+            client.startTelnet(receiver.poll_interval, primaryClient ? primaryClient.telnet : null);
+        } else {
+            client.startPolling(receiver.poll_interval);
+        }
+
+        return client;
+    }
+
+    /**
+     * Name shown in Roon for a receiver zone
+     * The main zone keeps the plain device name; receivers left at the
+     * default name are labelled with their model once it is known
+     */
+    getZoneDisplayName(receiver, zone, client = null) {
+        let name = receiver.device_name;
+        if (receiver.default_name && client && client.capabilities && client.capabilities.modelName) {
+            name = `${client.capabilities.brand} ${client.capabilities.modelName}`;
+        }
 
-        // Poll every 5 seconds to catch external volume changes
-        client.startPolling(5);
+        if (zone === 'main') {
+            return name;
+        }
+        return `${name} ${MarantzClient.ZONES[zone].name}`;
+    }
+
+    /**
+     * Apply probed capabilities: model name label, volume limit, settings UI
+     */
+    applyCapabilities(key, zone) {
+        const client = this.clients.get(key);
+        const receiver = this.receivers.get(key);
+        if (!client || !receiver) {
+            return;
+        }
+
+        const range = this.getVolumeRange(receiver, client);
+        const displayName = this.getZoneDisplayName(receiver, zone, client);
+
+        if (this.volumeControls.get(key)) {
+            const state = {
+                display_name: displayName,
+                volume_max: this.toRoonVolume(receiver, client, range.max)
+            };
+
+            // The volume curve spans the range, so the slider position may move
+            if (client.currentVolume !== null) {
+                state.volume_value = this.toRoonVolume(receiver, client, client.currentVolume);
+            }
+
+            this.volumeControls.get(key).update_state(state);
+        }
+
+        if (this.sourceControls.get(key)) {
+            this.sourceControls.get(key).update_state({
+                display_name: displayName
+            });
+        }
+
+        // The first zone speaks for the receiver in the settings UI
+        if (zone === receiver.zones[0]) {
+            this.settings.setCapabilities(receiver.id, client.capabilities);
+        }
+    }
+
+    /**
+     * Connection state of each receiver (one entry per receiver, not per zone)
+     */
+    getReceiverStates() {
+        const states = [];
+
+        this.clients.forEach((client, key) => {
+            const receiver = this.receivers.get(key);
+            if (!client || !receiver || client.zone !== receiver.zones[0]) {
+                return;
+            }
+
+            states.push({
+                name: this.getZoneDisplayName(receiver, 'main', client),
+                state: client.connectionState,
+                since: client.stateSince,
+                soundMode: client.currentSoundMode ? MarantzClient.getSoundModeTitle(client.currentSoundMode) : null
+            });
+        });
+
+        return states;
+    }
+
+    /**
+     * Cached state of a receiver zone, or null for an unknown control key
+     * Volumes are on Roon's scale (dB in dB display mode)
+     */
+    getReceiverSnapshot(key) {
+        const client = this.clients.get(key);
+        const receiver = this.receivers.get(key);
+        if (!client || !receiver) {
+            return null;
+        }
+
+        const range = this.getVolumeRange(receiver, client);
+        const volume = client.currentVolume === null ? null : this.toRoonVolume(receiver, client, client.currentVolume);
+
+        return {
+            control_key: key,
+            receiver_id: receiver.id,
+            name: this.getZoneDisplayName(receiver, client.zone, client),
+            zone: client.zone,
+            ip_address: receiver.ip_address,
+            port: receiver.port,
+            manufacturer: client.capabilities ? client.capabilities.brand : null,
+            model: client.capabilities ? client.capabilities.modelName : null,
+            volume: volume,
+            volume_type: receiver.volume_display === 'db' ? 'db' : 'number',
+            volume_min: this.toRoonVolume(receiver, client, range.min),
+            volume_max: this.toRoonVolume(receiver, client, range.max),
+            volume_step: this.volumeConfig.step,
+            mute: client.currentMute,
+            power: client.currentPower,
+            input: client.currentInput,
+            sound_mode: client.currentSoundMode,
+            group_leader: this.groupLeaders.get(key) || null,
+            state: client.connectionState
+        };
+    }
+
+    /**
+     * Cached state of every receiver zone
+     */
+    getReceiverSnapshots() {
+        return [...this.clients.keys()]
+            .map((key) => this.getReceiverSnapshot(key))
+            .filter((snapshot) => snapshot);
+    }
+
+    /**
+     * Request a volume change as if it came from Roon
+     * Uses the same modes and scale as Roon: absolute, relative, relative_step
+     */
+    requestVolume(key, mode, value) {
+        return this.handleSetVolume(this.makeRequest({ mode: mode, value: value }), key);
+    }
+
+    /**
+     * Request a mute change as if it came from Roon
+     */
+    requestMute(key, mute) {
+        return this.handleSetMute(this.makeRequest({ action: mute ? 'mute' : 'unmute' }), key);
+    }
+
+    /**
+     * Request power on (Roon's convenience switch) or standby
+     * Resolves with the completion status ('Success' or 'Failed')
+     */
+    requestPower(key, on) {
+        return new Promise((resolve) => {
+            const req = this.makeRequest({}, resolve);
+            if (on) {
+                this.handleConvenienceSwitch(req, key);
+            } else {
+                this.handleStandby(req, key);
+            }
+        });
+    }
+
+    /**
+     * Build a request object shaped like the ones Roon passes to handlers
+     */
+    makeRequest(body, onComplete = null) {
+        return {
+            body: body,
+            send_complete: (status) => {
+                if (onComplete) {
+                    onComplete(status);
+                }
+            }
+        };
+    }
+
+    /**
+     * Roon control key for a receiver zone
+     * Derived from the receiver's stable ID, so Roon zone assignments
+     * survive other receivers being added, removed or reordered
+     */
+    getControlKey(receiver, zone) {
+        if (zone === 'main') {
+            return `receiver_${receiver.id}`;
+        }
+        return `receiver_${receiver.id}_${zone}`;
     }
 
     /**
      * Register a volume control device with Roon
      */
-    registerVolumeControl(receiver, index, client) {
+    registerVolumeControl(receiver, key, client, zone = 'main') {
+        const displayName = this.getZoneDisplayName(receiver, zone, client);
+
+        const range = this.getVolumeRange(receiver, client);
+
         // Create volume control state
         const state = {
-            display_name: receiver.device_name,
-            volume_type: 'number',
-            volume_min: this.volumeConfig.min,
-            volume_max: this.volumeConfig.max,
+            display_name: displayName,
+            volume_type: receiver.volume_display === 'db' ? 'db' : 'number',
+            volume_min: this.toRoonVolume(receiver, client, range.min),
+            volume_max: this.toRoonVolume(receiver, client, range.max),
             volume_step: this.volumeConfig.step,
-            volume_value: client.currentVolume || 0,
+            volume_value: this.toRoonVolume(receiver, client, client.currentVolume || range.min),
             is_muted: client.currentMute || false,
-            control_key: `receiver_${receiver.index}`
+            control_key: key
         };
 
         // Register with Roon
         const volumeControl = this.roon.services.RoonApiVolumeControl.new_device({
             state: state,
-            set_volume: (req) => this.handleSetVolume(req, index),
-            set_mute: (req) => this.handleSetMute(req, index)
+            set_volume: (req) => this.handleSetVolume(req, key),
+            set_mute: (req) => this.handleSetMute(req, key)
         });
 
-        this.volumeControls[index] = volumeControl;
-        console.log(`Volume control registered: ${receiver.device_name}`);
+        this.volumeControls.set(key, volumeControl);
+        console.log(`Volume control registered: ${displayName}`);
+    }
+
+    /**
+     * Register a source control device with Roon for power on/standby
+     */
+    registerSourceControl(receiver, key, client, zone = 'main') {
+        const displayName = this.getZoneDisplayName(receiver, zone, client);
+
+        const state = {
+            display_name: displayName,
+            supports_standby: true,
+            status: this.getSourceStatus(client, receiver.roon_input),
+            control_key: key
+        };
+
+        const sourceControl = this.roon.services.RoonApiSourceControl.new_device({
+            state: state,
+            convenience_switch: (req) => this.handleConvenienceSwitch(req, key),
+            standby: (req) => this.handleStandby(req, key)
+        });
+
+        this.sourceControls.set(key, sourceControl);
+        console.log(`Source control registered: ${displayName}`);
+    }
+
+    /**
+     * Map the client's power and input state to a Roon source control status
+     * When a Roon input is configured, a receiver playing another input is 'deselected'
+     */
+    getSourceStatus(client, roonInput) {
+        const poweredOn = client.isPoweredOn;
+        if (poweredOn === null) {
+            return 'indeterminate';
+        }
+        if (!poweredOn) {
+            return 'standby';
+        }
+        if (roonInput && client.isInputSelected(roonInput) === false) {
+            return 'deselected';
+        }
+        return 'selected';
+    }
+
+    /**
+     * Handle Roon's convenience switch (power on before playback)
+     */
+    async handleConvenienceSwitch(req, key) {
+        const client = this.clients.get(key);
+        if (!client) {
+            console.error(`Client ${key} not initialized`);
+            req.send_complete('Failed');
+            return;
+        }
+
+        const receiver = this.receivers.get(key);
+        const roonInput = receiver.roon_input;
+        const soundMode = client.zone === 'main' ? receiver.sound_mode : '';
+        console.log(`Convenience switch request for ${key}`);
+
+        try {
+            if (client.isPoweredOn !== true) {
+                await client.powerOn();
+
+                // Give the receiver a moment to wake before switching inputs
+                if (roonInput || soundMode) {
+                    await new Promise((resolve) => setTimeout(resolve, this.powerOnDelay));
+                }
+            }
+
+            // Only switch when the input is known to differ (or unknown)
+            let inputSwitched = false;
+            if (roonInput && client.isInputSelected(roonInput) !== true) {
+                console.log(`Selecting input ${roonInput}`);
+                await client.selectInput(roonInput);
+                inputSwitched = true;
+            }
+
+            // Receivers recall a sound mode per input, so set it after any input switch
+            if (soundMode && (inputSwitched || client.isSoundModeSelected(soundMode) !== true)) {
+                console.log(`Selecting sound mode ${soundMode}`);
+                await client.setSoundMode(soundMode);
+            }
+
+            req.send_complete('Success');
+        } catch (error) {
+            console.error('Error during convenience switch:', error);
+            req.send_complete('Failed', { error: error.message });
+        }
+    }
+
+    /**
+     * Handle standby requests from Roon
+     */
+    async handleStandby(req, key) {
+        const client = this.clients.get(key);
+        if (!client) {
+            console.error(`Client ${key} not initialized`);
+            req.send_complete('Failed');
+            return;
+        }
+
+        console.log(`Standby request for ${key}`);
+
+        try {
+            await client.standby();
+            req.send_complete('Success');
+        } catch (error) {
+            console.error('Error entering standby:', error);
+            req.send_complete('Failed', { error: error.message });
+        }
     }
 
     /**
      * Handle volume change requests from Roon
+     * Commands go through the client's queue: absolute targets replace ones
+     * still waiting, steps accumulate, and the receiver's state is read back
+     * once the queue drains. Absolute targets show in Roon at once and are
+     * rolled back if the receiver does not apply them.
      */
-    async handleSetVolume(req, index) {
-        const client = this.clients[index];
+    async handleSetVolume(req, key) {
+        const client = this.clients.get(key);
         if (!client) {
-            console.error(`Client ${index} not initialized`);
+            console.error(`Client ${key} not initialized`);
             return;
         }
 
+        const receiver = this.receivers.get(key);
         const mode = req.body.mode;
         const value = req.body.value;
 
-        console.log(`Volume change request for receiver ${index + 1}: mode=${mode}, value=${value}`);
-
-        // Clear any pending debounce timer for this receiver
-        if (this.volumeDebounceTimers.has(index)) {
-            clearTimeout(this.volumeDebounceTimers.get(index));
-        }
-
-        // Debounce rapid volume changes - wait 200ms after last change
-        const timer = setTimeout(async () => {
-            this.volumeDebounceTimers.delete(index);
-
-            try {
-                let targetVolume = null;
-
-                switch (mode) {
-                    case 'absolute':
-                        targetVolume = value;
-                        console.log(`Setting volume to: ${targetVolume}`);
-                        await client.setVolume(targetVolume);
-                        break;
-
-                    case 'relative':
-                        const currentVolume = client.currentVolume || 0;
-                        targetVolume = currentVolume + value;
-                        console.log(`Adjusting volume: ${currentVolume} + ${value} = ${targetVolume}`);
-                        await client.setVolume(targetVolume);
-                        break;
-
-                    case 'relative_step':
-                        if (value > 0) {
-                            await client.volumeUp();
-                        } else if (value < 0) {
-                            await client.volumeDown();
-                        }
-                        // Get the new volume after stepping
-                        setTimeout(() => {
-                            if (this.clients[index]) {
-                                this.clients[index].getStatus();
-                            }
-                        }, 500);
-                        return;
+        console.log(`Volume change request for ${key}: mode=${mode}, value=${value}`);
 
-                    default:
-                        console.error(`Unknown volume mode: ${mode}`);
-                        return;
-                }
+        try {
+            let targetVolume = null;
 
-                // Update Roon immediately with the value we just set
-                // Don't wait for the receiver to confirm
-                if (targetVolume !== null && this.volumeControls[index]) {
-                    client.currentVolume = targetVolume;
-                    this.volumeControls[index].update_state({
-                        volume_value: targetVolume
-                    });
-                }
+            switch (mode) {
+                case 'absolute':
+                    targetVolume = this.clampVolume(key, this.fromRoonVolume(receiver, client, value));
+                    console.log(`Setting volume to: ${targetVolume}`);
+                    break;
 
-                // Verify the actual value from receiver after a delay
-                setTimeout(() => {
-                    if (this.clients[index]) {
-                        this.clients[index].getStatus();
+                case 'relative':
+                    // Relative changes are made on Roon's scale, so they follow the volume curve
+                    const currentValue = this.toRoonVolume(receiver, client, client.currentVolume || 0);
+                    targetVolume = this.clampVolume(key, this.fromRoonVolume(receiver, client, currentValue + value));
+                    console.log(`Adjusting volume: ${currentValue} + ${value} -> ${targetVolume}`);
+                    break;
+
+                case 'relative_step':
+                    // Checked against the volume after steps still queued
+                    const maxVolume = this.getVolumeRange(receiver, client).max;
+                    const expected = client.expectedVolume;
+                    if (value > 0 && expected !== null && expected >= maxVolume) {
+                        console.log(`Volume step ignored: already at maximum ${maxVolume}`);
+                        return;
                     }
-                }, 1000);
+                    if (value > 0 && expected !== null && expected + client.volumeStep > maxVolume) {
+                        await client.setVolume(maxVolume);
+                    } else if (value > 0) {
+                        await client.volumeUp();
+                    } else if (value < 0) {
+                        await client.volumeDown();
+                    }
+                    return;
+
+                default:
+                    console.error(`Unknown volume mode: ${mode}`);
+                    return;
+            }
+
+            await client.rampVolume(targetVolume, receiver.ramp_rate);
+        } catch (error) {
+            console.error('Error setting volume:', error);
+        }
+    }
+
+    /**
+     * Clamp a requested volume to the receiver's allowed range
+     */
+    clampVolume(key, volume) {
+        const range = this.getVolumeRange(this.receivers.get(key), this.clients.get(key));
+        const clamped = Math.min(Math.max(volume, range.min), range.max);
 
-            } catch (error) {
-                console.error('Error setting volume:', error);
+        if (clamped !== volume) {
+            console.log(`Volume request ${volume} out of range for ${key}, clamped to ${clamped}`);
+        }
+
+        return clamped;
+    }
+
+    /**
+     * Allowed volume range for a receiver, in display units (0-98)
+     * The configured maximum is further limited by the model's own maximum
+     */
+    getVolumeRange(receiver, client) {
+        let max = receiver.max_volume;
+        if (client && client.capabilities && client.capabilities.maxVolume !== null) {
+            max = Math.min(max, client.capabilities.maxVolume);
+        }
+
+        return {
+            min: receiver.volume_display === 'db' ? this.volumeConfig.dbMin : this.volumeConfig.min,
+            max: max
+        };
+    }
+
+    /**
+     * Volume curve configured for a receiver
+     */
+    getVolumeCurve(receiver) {
+        if (!this.volumeCurves.has(receiver)) {
+            if (receiver.volume_curve === 'custom' && !receiver.volume_curve_points) {
+                console.error(`Invalid curve points for ${receiver.device_name}, using a linear curve`);
             }
-        }, 200);
+            this.volumeCurves.set(receiver, new VolumeCurve(receiver.volume_curve, receiver.volume_curve_points));
+        }
+        return this.volumeCurves.get(receiver);
+    }
+
+    /**
+     * Convert a display value (0-98) to the value shown in Roon
+     * Applies the inverse volume curve, so front-panel changes land on the
+     * slider position that would set them
+     */
+    toRoonVolume(receiver, client, volume) {
+        const range = this.getVolumeRange(receiver, client);
+        const value = this.getVolumeCurve(receiver).fromReceiver(volume, range.min, range.max);
+        return receiver.volume_display === 'db' ? client.toDecibels(value) : value;
+    }
 
-        this.volumeDebounceTimers.set(index, timer);
+    /**
+     * Convert a value from Roon to a display value (0-98) through the volume curve
+     */
+    fromRoonVolume(receiver, client, value) {
+        const range = this.getVolumeRange(receiver, client);
+        const display = receiver.volume_display === 'db' ? client.fromDecibels(value) : value;
+        return this.getVolumeCurve(receiver).toReceiver(display, range.min, range.max);
+    }
+
+    /**
+     * Lower the volume to the receiver's safe volume if it is above it
+     */
+    async applySafeVolume(key) {
+        const client = this.clients.get(key);
+        const receiver = this.receivers.get(key);
+        if (!client || !receiver || receiver.safe_volume === null) {
+            return;
+        }
+
+        if (client.currentVolume === null || client.currentVolume <= receiver.safe_volume) {
+            return;
+        }
+
+        console.log(`${key} volume ${client.currentVolume} is above safe volume, lowering to ${receiver.safe_volume}`);
+
+        try {
+            await client.setVolume(receiver.safe_volume);
+        } catch (error) {
+            console.error('Error applying safe volume:', error);
+        }
     }
 
     /**
      * Handle mute change requests from Roon
      */
-    async handleSetMute(req, index) {
-        const client = this.clients[index];
+    async handleSetMute(req, key) {
+        const client = this.clients.get(key);
         if (!client) {
-            console.error(`Client ${index} not initialized`);
+            console.error(`Client ${key} not initialized`);
             return;
         }
 
         const action = req.body.action;
-        console.log(`Mute change request for receiver ${index + 1}: action=${action}`);
+        console.log(`Mute change request for ${key}: action=${action}`);
 
         try {
             const shouldMute = action === 'mute';
-            await client.setMute(shouldMute);
+            const receiver = this.receivers.get(key);
+
+            if (receiver.mute_fade && client.currentVolume !== null && client.currentMute !== shouldMute) {
+                await this.fadeMute(key, shouldMute);
+            } else {
+                await client.setMute(shouldMute);
+            }
         } catch (error) {
             console.error('Error setting mute:', error);
         }
     }
 
+    /**
+     * Fade out before muting, or unmute silently and fade back in
+     * The volume is restored while muted, so the receiver keeps its level
+     */
+    async fadeMute(key, mute) {
+        const client = this.clients.get(key);
+        const receiver = this.receivers.get(key);
+        const volume = client.currentVolume;
+        const floor = this.getVolumeRange(receiver, client).min;
+        const rate = Math.max(volume - floor, 0.5) / receiver.mute_fade;
+
+        if (mute) {
+            // A new volume target cancels the fade and leaves mute alone
+            if (await client.rampVolume(floor, rate)) {
+                await client.setMute(true);
+                await client.setVolume(volume);
+            }
+        } else {
+            await client.setVolume(floor);
+            await client.setMute(false);
+            await client.rampVolume(volume, rate);
+        }
+    }
+
     /**
      * Update volume state in Roon
      */
-    updateVolumeState(index, volume) {
-        if (this.volumeControls[index]) {
-            this.volumeControls[index].update_state({
-                volume_value: volume
+    updateVolumeState(key, volume) {
+        const roonVolume = this.toRoonVolume(this.receivers.get(key), this.clients.get(key), volume);
+        if (this.volumeControls.get(key)) {
+            this.volumeControls.get(key).update_state({
+                volume_value: roonVolume
             });
         }
+        this.emit('volumeChanged', key, roonVolume);
     }
 
     /**
      * Update mute state in Roon
      */
-    updateMuteState(index, mute) {
-        if (this.volumeControls[index]) {
-            this.volumeControls[index].update_state({
+    updateMuteState(key, mute) {
+        if (this.volumeControls.get(key)) {
+            this.volumeControls.get(key).update_state({
                 is_muted: mute
             });
         }
+        this.emit('muteChanged', key, mute);
     }
 
     /**
-     * Update settings and reinitialize
+     * Update source control (power) state in Roon
+     */
+    updateSourceState(key) {
+        const client = this.clients.get(key);
+        if (client && this.sourceControls.get(key)) {
+            this.sourceControls.get(key).update_state({
+                status: this.getSourceStatus(client, this.receivers.get(key).roon_input)
+            });
+        }
+    }
+
+    /**
+     * Apply changed settings
      */
     updateSettings(newSettings) {
         console.log('Updating volume control settings');
-        this.initialize();
+        this.reconcile();
     }
 
     /**
-     * Clean up resources
+     * Bring the receiver zones in line with the settings, touching only
+     * receivers that changed. Receivers whose connection method, zones or
+     * group membership changed are rebuilt; other changes are applied to
+     * the running client, which keeps its polling state and cached volume.
      */
-    destroy() {
-        // Clear all debounce timers
-        for (const timer of this.volumeDebounceTimers.values()) {
-            clearTimeout(timer);
-        }
-        this.volumeDebounceTimers.clear();
+    reconcile() {
+        const receivers = this.settings.getReceivers();
+        const groupLeaders = this.resolveGroups(receivers);
+
+        const previous = new Map();
+        this.receivers.forEach((receiver) => previous.set(receiver.id, receiver));
+
+        const keys = [];
+        receivers.forEach((receiver) => {
+            receiver.zones.forEach((zone) => keys.push(this.getControlKey(receiver, zone)));
+        });
+
+        // Receivers that can't be changed in place start over
+        const rebuilt = new Set();
+        receivers.forEach((receiver) => {
+            const old = previous.get(receiver.id);
+            if (old && this.needsRebuild(old, receiver, groupLeaders)) {
+                console.log(`Rebuilding receiver ${receiver.id}: ${receiver.device_name}`);
+                rebuilt.add(receiver.id);
+            }
+        });
 
-        // Destroy all clients
-        this.clients.forEach((client) => {
-            if (client) {
-                client.destroy();
+        [...this.clients.keys()].forEach((key) => {
+            if (!keys.includes(key) || rebuilt.has(this.receivers.get(key).id)) {
+                this.removeZone(key);
             }
         });
-        this.clients = [];
 
-        // Destroy all volume controls
-        this.volumeControls.forEach((vc) => {
-            if (vc) {
-                vc.destroy();
+        const oldLeaders = this.groupLeaders;
+        this.groupLeaders = groupLeaders;
+
+        receivers.forEach((receiver) => {
+            let primaryClient = null;
+            receiver.zones.forEach((zone) => {
+                const key = this.getControlKey(receiver, zone);
+                let client = this.clients.get(key);
+
+                if (client) {
+                    this.updateZone(key, receiver, oldLeaders.get(key));
+                } else {
+                    client = this.initializeReceiver(receiver, zone, primaryClient);
+                }
+                primaryClient = primaryClient || client;
+            });
+        });
+
+        // Keep zones in settings order (e.g. for GET /receivers)
+        [this.receivers, this.clients, this.volumeControls, this.sourceControls].forEach((map) => {
+            const entries = keys.filter((key) => map.has(key)).map((key) => [key, map.get(key)]);
+            map.clear();
+            entries.forEach(([key, value]) => map.set(key, value));
+        });
+
+        console.log(`Reconciled ${receivers.length} receiver(s)`);
+        this.emit('receiversChanged');
+    }
+
+    /**
+     * Whether a receiver's changes need its clients and Roon devices recreated
+     * A zone that starts or stops following another one gains or loses its
+     * volume control
+     */
+    needsRebuild(old, receiver, groupLeaders) {
+        if (old.transport !== receiver.transport ||
+            old.update_method !== receiver.update_method ||
+            old.zones.join(',') !== receiver.zones.join(',')) {
+            return true;
+        }
+
+        return receiver.zones.some((zone) => {
+            const key = this.getControlKey(receiver, zone);
+            const leader = groupLeaders.get(key);
+            return this.isGroupFollower(key) !== (leader !== undefined && leader !== key);
+        });
+    }
+
+    /**
+     * Apply new settings to a running receiver zone
+     */
+    updateZone(key, receiver, oldLeader) {
+        const old = this.receivers.get(key);
+        const client = this.clients.get(key);
+        const leader = this.groupLeaders.get(key);
+
+        if (JSON.stringify(old) === JSON.stringify(receiver) && oldLeader === leader) {
+            return;
+        }
+
+        this.receivers.set(key, receiver);
+        client.label = this.getZoneDisplayName(receiver, client.zone);
+        client.pollIntervalSeconds = receiver.poll_interval;
+        client.standbyIntervalSeconds = receiver.standby_interval;
+
+        if (old.ip_address !== receiver.ip_address || old.port !== receiver.port) {
+            console.log(`${client.label} moved to ${receiver.ip_address}:${receiver.port}`);
+            client.updateConnection(receiver.ip_address, receiver.port);
+        }
+
+        const volumeControl = this.volumeControls.get(key);
+        if (volumeControl && old.volume_display !== receiver.volume_display) {
+            const range = this.getVolumeRange(receiver, client);
+            volumeControl.update_state({
+                volume_type: receiver.volume_display === 'db' ? 'db' : 'number',
+                volume_min: this.toRoonVolume(receiver, client, range.min)
+            });
+        }
+
+        // Name, volume range and curve, source status
+        this.applyCapabilities(key, client.zone);
+        this.updateSourceState(key);
+
+        // A follower with a new leader or offset falls in line with its leader
+        if (this.isGroupFollower(key) && (oldLeader !== leader || old.group_offset !== receiver.group_offset)) {
+            this.groupReadings.delete(`volume:${key}`);
+            this.groupReadings.delete(`mute:${key}`);
+            this.syncGroup(key, 'volume');
+            this.syncGroup(key, 'mute');
+        }
+    }
+
+    /**
+     * Stop a receiver zone's client and unregister its Roon devices
+     */
+    removeZone(key) {
+        const client = this.clients.get(key);
+        if (client) {
+            client.destroy();
+        }
+
+        [this.volumeControls, this.sourceControls].forEach((devices) => {
+            if (devices.has(key)) {
+                devices.get(key).destroy();
             }
         });
-        this.volumeControls = [];
+
+        [this.clients, this.receivers, this.volumeControls, this.sourceControls].forEach((map) => map.delete(key));
+        this.pendingSafeVolumeChecks.delete(key);
+        this.groupReadings.delete(`volume:${key}`);
+        this.groupReadings.delete(`mute:${key}`);
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        [...this.clients.keys()].forEach((key) => this.removeZone(key));
+        this.groupReadings.clear();
+        this.groupLeaders.clear();
+
+        this.emit('receiversChanged');
     }
 }
 
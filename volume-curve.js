@@ -0,0 +1,142 @@
+"use strict";
+
+// Base of the logarithmic (audio taper) curve: halfway along Roon's slider
+// is about a quarter of the receiver's range
+const LOG_BASE = 10;
+
+const MAX_VOLUME = 98;
+
+/**
+ * Maps volume between Roon's slider and the receiver
+ *
+ * Both sides use the receiver's absolute 0-98 scale:
+ *   linear      - unchanged
+ *   logarithmic - more slider travel at quiet and normal listening levels
+ *   custom      - straight lines between "slider:receiver" breakpoints
+ */
+class VolumeCurve {
+    constructor(type = 'linear', points = null) {
+        this.type = type;
+        this.points = points;
+
+        if (type === 'custom' && !points) {
+            this.type = 'linear';
+        }
+    }
+
+    /**
+     * Whether values pass through unchanged
+     */
+    get isLinear() {
+        return this.type !== 'logarithmic' && this.type !== 'custom';
+    }
+
+    /**
+     * Convert a slider value to a receiver volume within min..max
+     * Rounded to the receiver's 0.5 steps
+     */
+    toReceiver(value, min, max) {
+        if (this.isLinear) {
+            return value;
+        }
+
+        let volume;
+        if (this.type === 'custom') {
+            volume = this.interpolate(value, 0, 1);
+        } else {
+            const position = this.normalize(value, min, max);
+            volume = min + (Math.pow(LOG_BASE, position) - 1) / (LOG_BASE - 1) * (max - min);
+        }
+
+        return Math.round(volume * 2) / 2;
+    }
+
+    /**
+     * Convert a receiver volume to a slider value within min..max
+     * Rounded to 0.01, fine enough that receiver steps map back to the same volume
+     */
+    fromReceiver(volume, min, max) {
+        if (this.isLinear) {
+            return volume;
+        }
+
+        let value;
+        if (this.type === 'custom') {
+            value = this.interpolate(volume, 1, 0);
+        } else {
+            const position = this.normalize(volume, min, max);
+            value = min + Math.log(1 + position * (LOG_BASE - 1)) / Math.log(LOG_BASE) * (max - min);
+        }
+
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Position of a value within min..max as 0..1
+     */
+    normalize(value, min, max) {
+        if (max <= min) {
+            return 0;
+        }
+        return Math.min(Math.max((value - min) / (max - min), 0), 1);
+    }
+
+    /**
+     * Interpolate between breakpoints, reading column `from` and returning column `to`
+     * Values outside the table are held at the first or last breakpoint
+     */
+    interpolate(value, from, to) {
+        const points = this.points;
+
+        if (value <= points[0][from]) {
+            return points[0][to];
+        }
+
+        for (let i = 1; i < points.length; i++) {
+            const previous = points[i - 1];
+            const point = points[i];
+            if (value <= point[from]) {
+                const fraction = (value - previous[from]) / (point[from] - previous[from]);
+                return previous[to] + fraction * (point[to] - previous[to]);
+            }
+        }
+
+        return points[points.length - 1][to];
+    }
+
+    /**
+     * Parse a breakpoint table such as "0:0, 50:30, 98:70"
+     * Returns null unless there are at least two points rising on both sides
+     */
+    static parsePoints(text) {
+        if (typeof text !== 'string') {
+            return null;
+        }
+
+        const entries = text.split(/[\s,;]+/).filter((entry) => entry);
+        const points = [];
+
+        for (const entry of entries) {
+            const match = entry.match(/^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/);
+            if (!match) {
+                return null;
+            }
+
+            const point = [parseFloat(match[1]), parseFloat(match[2])];
+            if (point[0] > MAX_VOLUME || point[1] > MAX_VOLUME) {
+                return null;
+            }
+
+            const previous = points[points.length - 1];
+            if (previous && (point[0] <= previous[0] || point[1] <= previous[1])) {
+                return null;
+            }
+
+            points.push(point);
+        }
+
+        return points.length >= 2 ? points : null;
+    }
+}
+
+module.exports = VolumeCurve;